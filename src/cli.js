@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+import {mkdirSync, readFileSync, statSync, writeFileSync} from "fs";
+import {basename, dirname, posix, relative, resolve, sep} from "path";
+import {parseArgs} from "util";
+import {compare, createApiReport, generate, formatComparison, formatDeclarationMap, formatDiagnostic, updateApiReport} from "./index.js";
+import {loadConfig, readProjectConfig} from "./lib/config.js";
+
+/**
+ * Usage instructions for the command-line interface
+ * @type {String}
+ */
+const usage = `Usage: ostensibly-typed [options] <entryFiles...>
+       ostensibly-typed compare [options] <before> <after>
+
+Options:
+  -m, --module <name>           name of the module primarily being declared for the library
+  -d, --default-export <name>   name of the default export of the primary module declaration
+  -o, --out <file>              where to write the generated declaration file (default: <module>.d.ts)
+  -e, --external <name>         external module used in type annotations (repeatable, or comma separated)
+  -p, --project <file>          tsconfig.json or jsconfig.json to source compiler options and entry files from
+  -c, --config <file>           configuration file to use instead of discovering one
+  -s, --strict                  fail when any types could not be accurately declared
+  -V, --validate                type-check the generated declaration file, failing on any errors
+  -M, --declaration-map         write a declaration map alongside the generated declaration file
+  -f, --format <format>         declare "ambient" modules in one file, or plain "esm" modules in one file per module (default: ambient)
+  -E, --enum-format <format>    declare object literal enums as a "union" of values, an "enum", a "const" enum, or an "object" (default: union)
+  -r, --report <file>           write a normalised summary of the declared API to a file, for reviewing changes to it
+  -C, --check                   fail when the declared API differs from the existing API report, instead of writing it
+  -D, --docs <dir>              write markdown reference documentation for the declared API to a directory
+  -S, --schema <name>           write a JSON Schema document for a type definition next to the declaration file (repeatable)
+  -G, --validator <name>        write runtime guards for a type definition to a module next to the declaration file (repeatable)
+  -h, --help                    show this help message`;
+
+/**
+ * Usage instructions for the compare command
+ * @type {String}
+ */
+const compareUsage = `Usage: ostensibly-typed compare [options] <before> <after>
+
+Compares the declared API of two versions, where each version is either a .d.ts file,
+or a configuration file or directory to discover configuration in and generate declarations from.
+
+Options:
+  -m, --module <name>           name of the module primarily being declared, when generating declarations
+  -d, --default-export <name>   name of the default export of the primary module declaration, when generating declarations
+  -e, --external <name>         external module used in type annotations (repeatable, or comma separated)
+  -o, --out <file>              also write the comparison to a file as a JSON report
+  -j, --json                    print the comparison as a JSON report, instead of a human-readable report
+  -h, --help                    show this help message`;
+
+/**
+ * Read or generate the declaration file for one version of a library being compared
+ * @param {String} path - path to a declaration file, or a configuration file or directory to generate declarations from
+ * @param {Object} options - explicit options to merge with any discovered configuration
+ * @returns {Promise<String>} contents of the version's declaration file
+ */
+const resolveVersion = async (path, options) => {
+    const fileName = resolve(path);
+    
+    // Declaration files can be compared as they are...
+    if (fileName.endsWith(".d.ts")) return readFileSync(fileName, "utf8");
+    
+    // ...otherwise, generate them from the version's configuration
+    const isDirectory = statSync(fileName).isDirectory();
+    const {entryFiles = [], entryPoints, project, ...config} = await loadConfig(options, isDirectory ? {cwd: fileName} : {cwd: dirname(fileName), configFile: fileName});
+    
+    if (!entryFiles.length && !Object.keys(entryPoints ?? {}).length && project) entryFiles.push(...readProjectConfig(project).fileNames);
+    if (!config.moduleName || !config.defaultExport || (!entryFiles.length && !Object.keys(entryPoints ?? {}).length)) {
+        throw new Error(`Unable to generate declarations for '${path}', missing module name, default export, or entry files`);
+    }
+    
+    return generate({...config, entryFiles, entryPoints}).text;
+};
+
+/**
+ * Compare the declared API of two versions of a library from command-line arguments, and report the changes
+ * @param {String[]} args - command-line arguments to parse, after the command name
+ * @returns {Promise<Number>} exit code of the command-line interface
+ */
+const compareVersions = async (args) => {
+    const {values, positionals} = parseArgs({args, allowPositionals: true, options: {
+        "module": {type: "string", short: "m"},
+        "default-export": {type: "string", short: "d"},
+        "external": {type: "string", short: "e", multiple: true},
+        "out": {type: "string", short: "o"},
+        "json": {type: "boolean", short: "j"},
+        "help": {type: "boolean", short: "h"}
+    }});
+    
+    // Show usage instructions when asked
+    if (values.help) {
+        console.log(compareUsage);
+        return 0;
+    }
+    
+    if (positionals.length !== 2) throw new Error("Expected exactly two versions to compare");
+    
+    const options = {
+        moduleName: values.module,
+        defaultExport: values["default-export"],
+        externalModules: values.external?.flatMap((name) => name.split(",")).map((name) => name.trim()).filter((name) => !!name)
+    };
+    const [before, after] = [await resolveVersion(positionals[0], options), await resolveVersion(positionals[1], options)];
+    const comparison = compare(before, after);
+    
+    // Report the changes, and save them for later if asked
+    console.log(values.json ? JSON.stringify(comparison, null, 2) : formatComparison(comparison));
+    if (values.out) writeFileSync(resolve(values.out), JSON.stringify(comparison, null, 2));
+    
+    return 0;
+};
+
+/**
+ * Generate a declaration file from command-line arguments and discovered configuration, and write it to disk
+ * @param {String[]} [args] - command-line arguments to parse
+ * @returns {Promise<Number>} exit code of the command-line interface
+ */
+const main = async (args = process.argv.slice(2)) => {
+    try {
+        // Comparing versions is its own command, with its own options
+        if (args[0] === "compare") return await compareVersions(args.slice(1));
+        
+        const {values, positionals} = parseArgs({args, allowPositionals: true, options: {
+            "module": {type: "string", short: "m"},
+            "default-export": {type: "string", short: "d"},
+            "out": {type: "string", short: "o"},
+            "external": {type: "string", short: "e", multiple: true},
+            "project": {type: "string", short: "p"},
+            "config": {type: "string", short: "c"},
+            "strict": {type: "boolean", short: "s"},
+            "validate": {type: "boolean", short: "V"},
+            "declaration-map": {type: "boolean", short: "M"},
+            "format": {type: "string", short: "f"},
+            "enum-format": {type: "string", short: "E"},
+            "report": {type: "string", short: "r"},
+            "check": {type: "boolean", short: "C"},
+            "docs": {type: "string", short: "D"},
+            "schema": {type: "string", short: "S", multiple: true},
+            "validator": {type: "string", short: "G", multiple: true},
+            "help": {type: "boolean", short: "h"}
+        }});
+        
+        // Show usage instructions when asked
+        if (values.help) {
+            console.log(usage);
+            return 0;
+        }
+        
+        // Merge command-line options with any discovered configuration
+        const {moduleName, defaultExport, entryFiles = [], entryPoints, externalModules, compilerOptions, project, strict, validate, declarationMap, moduleFormat, enumFormat, apiReport, checkApiReport, schemas, validators, tagHandlers} = await loadConfig({
+            moduleName: values.module,
+            defaultExport: values["default-export"],
+            entryFiles: positionals.length ? positionals.map((fileName) => resolve(fileName)) : undefined,
+            externalModules: values.external?.flatMap((name) => name.split(",")).map((name) => name.trim()).filter((name) => !!name),
+            project: values.project,
+            strict: values.strict,
+            validate: values.validate,
+            declarationMap: values["declaration-map"],
+            moduleFormat: values.format,
+            enumFormat: values["enum-format"],
+            apiReport: values.report && resolve(values.report),
+            checkApiReport: values.check,
+            schemas: values.schema,
+            validators: values.validator
+        }, {configFile: values.config});
+        
+        // Fall back to the project's root files if no entry files or entry points were specified
+        if (!entryFiles.length && !Object.keys(entryPoints ?? {}).length && project) entryFiles.push(...readProjectConfig(project).fileNames);
+        
+        // Make sure required options were actually specified
+        if (!moduleName) throw new Error("Missing required '--module' option or 'moduleName' config property");
+        if (!defaultExport) throw new Error("Missing required '--default-export' option or 'defaultExport' config property");
+        if (!entryFiles.length && !Object.keys(entryPoints ?? {}).length) throw new Error("No entry files specified");
+        
+        // Generate the declaration file...
+        const outFile = resolve(values.out ?? `${moduleName}.d.ts`);
+        const {text, diagnostics, map, files, pages, schemas: schemaFiles, validators: validatorFiles} = generate({
+            moduleName, defaultExport, entryFiles, entryPoints, externalModules, compilerOptions, validate, declarationMap, moduleFormat, enumFormat, schemas, validators, tagHandlers,
+            documentation: !!values.docs, fileName: outFile
+        });
+        // Invalid declarations are always errors, but other problems are only errors in strict mode
+        const errors = diagnostics.filter(({category}) => strict || category === "validation");
+        
+        // ...then report any types that could not be accurately declared, or declarations that are not valid...
+        for (let diagnostic of diagnostics) console.warn(`ostensibly-typed: ${errors.includes(diagnostic) ? "error" : "warning"}: ${formatDiagnostic(diagnostic)}`);
+        // ...and write it out, unless something went wrong!
+        if (errors.length) throw new Error(`${errors.length} declaration problem(s) found`);
+        
+        // Everything else is written next to the declaration file, so make sure its directory exists first
+        mkdirSync(dirname(outFile), {recursive: true});
+        writeFileSync(outFile, map ? `${text}//# sourceMappingURL=${basename(outFile)}.map\n` : text);
+        
+        // Write any declaration map alongside the declaration file
+        if (map) writeFileSync(`${outFile}.map`, formatDeclarationMap(map, outFile));
+        
+        // Write declaration files for any other modules or entry points next to the primary module's declaration file
+        for (let [fileName, text] of files ?? []) {
+            mkdirSync(dirname(resolve(dirname(outFile), fileName)), {recursive: true});
+            writeFileSync(resolve(dirname(outFile), fileName), text);
+        }
+        
+        // Write any JSON Schema documents next to the declaration file
+        for (let [fileName, text] of schemaFiles ?? []) writeFileSync(resolve(dirname(outFile), fileName), text);
+        // Write any runtime guards to a module next to the declaration file
+        for (let [fileName, text] of validatorFiles ?? []) writeFileSync(resolve(dirname(outFile), fileName), text);
+        
+        // Write any reference documentation pages to the documentation directory
+        if (pages) mkdirSync(resolve(values.docs), {recursive: true});
+        for (let [fileName, text] of pages ?? []) writeFileSync(resolve(values.docs, fileName), text);
+        
+        // Write out or check the API report, failing if the declared API no longer matches it
+        const drift = apiReport && updateApiReport(createApiReport({
+            moduleName, fileName: basename(outFile), text,
+            // Keep file names in the report the same wherever the declaration files were written
+            files: files && Array.from(files, ([fileName, text]) => [relative(dirname(outFile), resolve(dirname(outFile), fileName)).split(sep).join(posix.sep), text])
+        }), apiReport, checkApiReport);
+        if (drift) throw new Error(drift);
+        
+        return 0;
+    } catch (ex) {
+        console.error(`ostensibly-typed: ${ex.message}`);
+        return 1;
+    }
+};
+
+main().then((code) => (process.exitCode = code));
@@ -1,73 +1,346 @@
 import ts from "typescript";
-import {findNamespaces, resolveImplicitTypeDefs} from "./lib/parse.js";
-import {generateDeclarationFile} from "./lib/generate.js";
+import {posix, resolve} from "path";
+import {findNamespaces, registerDeclarations, registerDeclaredNames, resolveCommonJSExports, resolveCustomElement, resolveEntryExports, resolveImplicitTypeDefs, resolveJSDocImports, resolveQualifiedName, resolveRequireImports, resolveSourceNodes, resolveValueDeclarations} from "./lib/parse.js";
+import {generateDeclarationFile, generateEntryDeclarationFiles, generateModuleDeclarationFiles} from "./lib/generate.js";
+import {alignComments} from "./lib/annotate.js";
+import {cacheSourceFiles, getCachedExtraction, updateGeneratorCache} from "./lib/cache.js";
+import {compareDeclaredApi} from "./lib/compare.js";
+import {generateDocumentation} from "./lib/docs.js";
+import {registerTagHandlers} from "./lib/extend.js";
+import {generateGuardModule} from "./lib/guard.js";
+import {collectPropertyDefaults, generateSchemas} from "./lib/schema.js";
+import {createApiModel, resolveModelContent} from "./lib/model.js";
+import {collectDiagnostics} from "./lib/report.js";
+import {createDeclarationMap} from "./lib/sourcemap.js";
+import {traceGeneratedNodes} from "./lib/trace.js";
+import {validateDeclarationFiles} from "./lib/validate.js";
+
+export {createGeneratorCache} from "./lib/cache.js";
+export {formatComparison} from "./lib/compare.js";
+export {loadConfig} from "./lib/config.js";
+export {formatDiagnostic} from "./lib/report.js";
+export {createApiReport, updateApiReport} from "./lib/summary.js";
+export {formatDeclarationMap} from "./lib/sourcemap.js";
 
 /**
- * Generate a TypeScript type definition file for a JavaScript library using JSDoc type annotations
- * @param {Object} [config={}] - configuration and source file contents to generate type definitions for
- * @param {String} config.moduleName - name of the module primarily being declared for the library
- * @param {String} config.defaultExport - name of the default export of the primary module declaration
- * @param {Map<String,String>} [config.sourceFiles] - preloaded source files to include in the TypeScript program
- * @param {String[]} [config.entryFiles] - file names of library entry files
- * @param {String[]} [config.externalModules] - any external modules used in type annotations
- * @param {Object} [config.compilerOptions] - any additional options to pass through to the TypeScript compiler
- * @returns {String} the generated type definition file
+ * @typedef {import("./lib/cache.js").GeneratorCache} GeneratorCache
+ * @typedef {import("./lib/compare.js").ApiComparison} ApiComparison
+ * @typedef {import("./lib/extend.js").TagHandler} TagHandler
+ * @typedef {import("./lib/model.js").ApiModel} ApiModel
+ * @typedef {import("./lib/report.js").Diagnostic} Diagnostic
+ * @typedef {import("./lib/sourcemap.js").DeclarationMap} DeclarationMap
  */
-export default function ostensiblyTyped({moduleName, defaultExport, entryFiles, sourceFiles = new Map(), externalModules = [], ...config} = {}) {
-    const compilerOptions = {...(config?.compilerOptions ?? {}), target: ts.ScriptTarget.Latest, allowJs: true};
-    const readFile = (fileName) => (fileName.endsWith(ts.Extension.Js) ? (sourceFiles.has(fileName) ? sourceFiles.get(fileName) : ts.sys.readFile(fileName))?.replaceAll(/({.*?)([~#])(.*?})/gm, "$1.$3") : ts.sys.readFile(fileName));
-    const host = Object.assign(ts.createCompilerHost(compilerOptions), {readFile});
-    const program = ts.createProgram(Array.isArray(entryFiles) ? entryFiles : [...sourceFiles.keys()], compilerOptions, host);
-    const checker = program.getTypeChecker();
-    const namespaces = new Map();
-    const modules = new Map();
-    const imports = new Map();
-    const exports = new Set();
+
+/**
+ * The generated type definition file, and details of any problems encountered while generating it
+ * @typedef {Object} GeneratedDeclarations
+ * @prop {String} text - the generated type definition file
+ * @prop {Diagnostic[]} diagnostics - any type annotations that could not be accurately declared, or declarations that are not valid
+ * @prop {DeclarationMap} [map] - declaration map linking the type definition file back to its JavaScript sources, if requested
+ * @prop {Map<String, String>} [files] - type definition files for any other modules or entry points, keyed by file name, when declaring plain ES modules or entry points
+ * @prop {Map<String, String>} [pages] - markdown reference documentation pages for the module and each of its namespaces and classes, keyed by file name, if requested
+ * @prop {Map<String, String>} [schemas] - JSON Schema documents for any requested type definitions, keyed by file name
+ * @prop {Map<String, String>} [validators] - JavaScript module of runtime guards for any requested type definitions, keyed by file name
+ */
+
+/**
+ * Merge explicitly specified entry files with the files of any entry points
+ * @param {String[]} [entryFiles] - file names of library entry files
+ * @param {[String, String][]} entries - names and resolved file names of entry points
+ * @returns {String[]|undefined} file names of all library entry files
+ */
+const resolveEntryFiles = (entryFiles, entries) => (entries.length ? [...new Set([...(Array.isArray(entryFiles) ? entryFiles : []), ...entries.map(([, fileName]) => fileName)])] : entryFiles);
+
+/**
+ * Resolve the file names of entry points, and which type definition files they should each be declared in
+ * @param {Object<String, String>} entryPoints - file names of library entry files, keyed by entry point name
+ * @param {String} fileName - file name of the primary module's type definition file
+ * @returns {[String, String, String][]} names, resolved file names, and type definition file names of each entry point
+ */
+const resolveEntryPoints = (entryPoints, fileName) => Object.entries(entryPoints).map(([name, entryFile]) => [name, resolve(entryFile), posix.join(posix.dirname(fileName), `${name}.d.ts`)]);
+
+/**
+ * Everything discovered in a library's sources so far, which each source file's writes save what was found in it to
+ * @typedef {Object} SourceState
+ * @prop {String} defaultExport - name of the default export of the primary module declaration
+ * @prop {Boolean} exportAssignment - whether a CommonJS entry file assigned the default export to the whole module
+ * @prop {Map} namespaces - structure of namespaces, classes, values, and type definitions to declare
+ * @prop {Map} modules - structure of any additional modules to declare
+ * @prop {Map<String, {names: Set<String>, bindings: Set<String>, requires: Set<String>}>} imports - names imported from each external module
+ * @prop {Set<ts.ExportDeclaration>} exports - entry file declarations re-exporting external modules
+ * @prop {Map<String, ts.ClassDeclaration>} elements - classes implementing each custom element, keyed by tag name
+ * @prop {Map<String, Map>} declarations - structure of values declared by each entry point with its own type definition file
+ */
+
+/**
+ * Walk a source file, working out everything that should be saved from it without saving any of it yet
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.SourceFile} sourceFile - the source file to walk
+ * @param {Object} context - how the source file should be walked
+ * @param {String[]} context.externalModules - any external modules used in type annotations
+ * @param {Boolean} context.isEntry - whether the source file is an entry file of the primary module
+ * @param {String} [context.entry] - name of the entry point the source file belongs to, if it has its own type definition file
+ * @returns {{dependencies: ts.SourceFile[], writes: ((state: SourceState) => void)[]}} other source files the type checker resolved anything from, and writes that save everything found, in source order
+ */
+const extractSourceFile = (checker, sourceFile, {externalModules, isEntry, entry}) => {
+    const dependencies = new Set();
+    const writes = [];
     
-    // Go through all loaded source files to build the declaration file
-    for (let sourceFile of program.getSourceFiles()) {
-        if (!sourceFile.isDeclarationFile) ts.forEachChild(sourceFile, function visitor(node) {
-            // Handle types imported from external modules
-            if (ts.isImportDeclaration(node)) {
-                const name = node.moduleSpecifier.text;
+    for (let node of resolveSourceNodes(sourceFile)) {
+        // Handle types imported from external modules, either by import declarations, required modules, JSDoc import tags, or import types
+        for (let reference of [...(ts.isImportDeclaration(node) ? [node] : []), ...resolveRequireImports(node), ...resolveJSDocImports(node)]) {
+            const name = ts.isImportTypeNode(reference) ? (ts.isLiteralTypeNode(reference.argument) ? reference.argument.literal.text : undefined)
+                : ts.isImportEqualsDeclaration(reference) ? reference.moduleReference.expression.text : reference.moduleSpecifier.text;
+            
+            if (externalModules.includes(name)) {
+                const {importClause, qualifier} = reference;
+                const found = {names: [], bindings: [], requires: []};
                 
-                if (externalModules.includes(name)) {
-                    const {importClause} = node;
-                    const {names, bindings} = (imports.has(name) ? imports : imports.set(name, {names: new Set(), bindings: new Set()})).get(name);
+                // Save whole modules required by CommonJS modules, direct and named import bindings...
+                if (ts.isImportEqualsDeclaration(reference)) found.requires.push(reference.name.escapedText);
+                if (importClause?.name) found.names.push(importClause.name.escapedText);
+                for (let {propertyName, name} of importClause?.namedBindings?.elements ?? []) {
+                    found.bindings.push([...new Set([propertyName?.escapedText, name?.escapedText].filter(v => v))].join(","));
+                }
+                
+                // ...or the names import types would be declared as
+                if (qualifier) {
+                    const [binding] = resolveQualifiedName(qualifier).split(".");
+                    // Default exports are referenced by the name TypeScript declares them with
+                    const type = binding === "default" ? checker.getTypeFromTypeNode(reference) : undefined;
+                    const {typeName} = (type && checker.typeToTypeNode(type)) || {};
                     
-                    // Save direct and named import bindings
-                    if (importClause.name) names.add(importClause.name.escapedText);
-                    for (let {propertyName, name} of node.importClause.namedBindings?.elements ?? []) {
-                        bindings.add([...new Set([propertyName?.escapedText, name?.escapedText].filter(v => v))].join(","));
-                    }
+                    for (let declaration of type?.symbol?.declarations ?? []) dependencies.add(declaration.getSourceFile());
+                    if (binding !== "default") found.bindings.push(binding);
+                    else if (typeName && ts.isIdentifier(typeName)) found.names.push(typeName.escapedText);
                 }
-            }
-            
-            // Handle re-exported external modules
-            if (ts.isExportDeclaration(node) && entryFiles.includes(sourceFile.fileName)) {
-                const declarations = node.exportClause.elements
-                    .flatMap(({name}) => sourceFile.locals.get(name.escapedText)?.declarations)
-                    .filter(ts.isImportClause).map(({parent: {moduleSpecifier: {text}}}) => text);
                 
-                if (declarations.some((name) => externalModules.includes(name))) exports.add(node);
+                writes.push(({imports}) => {
+                    const saved = (imports.has(name) ? imports : imports.set(name, {names: new Set(), bindings: new Set(), requires: new Set()})).get(name);
+                    for (let key of ["names", "bindings", "requires"]) for (let value of found[key]) saved[key].add(value);
+                });
             }
+        }
+        
+        // Handle re-exported external modules
+        if (ts.isExportDeclaration(node) && isEntry) {
+            const declarations = (node.exportClause?.elements ?? [])
+                .flatMap(({propertyName, name}) => sourceFile.locals.get((propertyName ?? name).escapedText)?.declarations ?? [])
+                .filter(ts.isImportClause).map(({parent: {moduleSpecifier: {text}}}) => text);
             
-            // Handle class declarations, building structure of namespace declarations
-            if (ts.isClassDeclaration(node)) {
-                findNamespaces(node, namespaces, ["namespace", "alias"], ({type, node}, existing = {}) => ({type, node, ...existing, source: node}));
-                findNamespaces(node, modules, ["module"], ({node}) => ts.getAllJSDocTags(node, ({tagName: {escapedText} = {}}) => escapedText === "namespace").shift()?.comment);
-                
-                if (node.name.escapedText === defaultExport && !namespaces.has(defaultExport)) {
-                    namespaces.set(defaultExport, {type: "alias", node, members: new Map()});
-                }
-            }
+            if (declarations.some((name) => externalModules.includes(name))) writes.push(({exports}) => exports.add(node));
+        }
+        
+        // Handle class declarations, building structure of namespace declarations
+        if (ts.isClassDeclaration(node)) writes.push(({defaultExport, namespaces, modules}) => {
+            findNamespaces(node, namespaces, ["namespace", "alias"], ({type, node}, existing = {}) => ({type, node, ...existing, source: node}));
+            findNamespaces(node, modules, ["module"], ({node}) => ts.getAllJSDocTags(node, ({tagName: {escapedText} = {}}) => escapedText === "namespace").shift()?.comment);
             
-            // Find any annotations that look like types, then dig deeper!
-            resolveImplicitTypeDefs(checker, node, namespaces);
-            ts.forEachChild(node, visitor);
+            if (node.name.escapedText === defaultExport && !namespaces.has(defaultExport)) {
+                namespaces.set(defaultExport, {type: "alias", node, members: new Map()});
+            }
         });
+        
+        // Handle custom elements, either defined in the custom element registry or tagged with their tag name
+        const [element, declaration] = resolveCustomElement(checker, node) ?? [];
+        if (element) {
+            dependencies.add(declaration.getSourceFile());
+            writes.push(({elements}) => elements.set(element, declaration));
+        }
+        
+        // Handle top-level functions, constants, and object literals that are exported or namespaced
+        if ((ts.isFunctionDeclaration(node) || ts.isVariableStatement(node)) && ts.isSourceFile(node.parent)) {
+            const found = resolveValueDeclarations(node, isEntry);
+            // Values exported by other entry points are only declared in their own type definition files, unless they're namespaced
+            const exported = entry !== undefined ? resolveValueDeclarations(node, true, false) : [];
+            
+            writes.push(({namespaces, declarations}) => {
+                registerDeclarations(found, namespaces);
+                if (exported.length) registerDeclarations(exported, declarations.get(entry));
+            });
+        }
+        
+        // Handle values exported by CommonJS entry files, which may assign the default export to the whole module
+        if (ts.isExpressionStatement(node) && ts.isSourceFile(node.parent) && isEntry) {
+            const {assigned, found} = resolveCommonJSExports(checker, node);
+            
+            for (let [, {node}] of found) dependencies.add(node.getSourceFile());
+            writes.push((state) => {
+                // Values are only saved if they weren't already declared
+                registerDeclarations(found.filter(([name]) => !state.namespaces.get(name)?.node), state.namespaces);
+                if (assigned === state.defaultExport) state.exportAssignment = true;
+            });
+        }
+        
+        // Find any annotations that look like types
+        writes.push(...resolveImplicitTypeDefs(checker, node).map((write) => ({namespaces}) => write(namespaces)));
+    }
+    
+    dependencies.delete(sourceFile);
+    
+    return {dependencies: [...dependencies], writes};
+};
+
+/**
+ * Walk a JavaScript library's sources with the TypeScript compiler, building a model of the API surface discovered in them
+ * @param {Object} config - configuration and source file contents to walk
+ * @param {String} config.moduleName - name of the module primarily being declared for the library
+ * @param {String} config.defaultExport - name of the default export of the primary module declaration
+ * @param {String[]} [config.entryFiles] - file names of library entry files
+ * @param {[String, String][]} [config.entryPoints] - names and resolved file names of entry points with their own type definition files, whose exported values are only declared there
+ * @param {Map<String,String>} [config.sourceFiles] - preloaded source files to include in the TypeScript program
+ * @param {String[]} [config.externalModules] - any external modules used in type annotations
+ * @param {Object} [config.compilerOptions] - any additional options to pass through to the TypeScript compiler
+ * @param {GeneratorCache} [config.cache] - state kept from previous runs, so unchanged source files aren't parsed or walked again
+ * @returns {{program: ts.Program, checker: ts.TypeChecker, diagnostics: Diagnostic[], model: ApiModel}} the TypeScript program, and the model built from it
+ */
+const analyseSources = ({moduleName, defaultExport, entryFiles, entryPoints = [], sourceFiles = new Map(), externalModules = [], compilerOptions: options, cache}) => {
+    const compilerOptions = {...(options ?? {}), target: ts.ScriptTarget.Latest, allowJs: true};
+    const readFile = (fileName) => (fileName.endsWith(ts.Extension.Js) ? (sourceFiles.has(fileName) ? sourceFiles.get(fileName) : ts.sys.readFile(fileName))?.replaceAll(/({.*?)([~#])(.*?})/gm, "$1.$3") : ts.sys.readFile(fileName));
+    const host = Object.assign(ts.createCompilerHost(compilerOptions), {readFile});
+    // Reuse the previous program and any unchanged source files, if there was a previous run
+    const program = ts.createProgram(Array.isArray(entryFiles) ? entryFiles : [...sourceFiles.keys()], compilerOptions, cache ? Object.assign(host, {getSourceFile: cacheSourceFiles(cache, host)}) : host, cache?.program);
+    const checker = program.getTypeChecker();
+    const diagnostics = collectDiagnostics(checker);
+    const entries = new Map(entryPoints.map(([name, fileName]) => [fileName, name]));
+    const state = {defaultExport, exportAssignment: false, namespaces: new Map(), modules: new Map(), imports: new Map(), exports: new Set(), elements: new Map(), declarations: new Map(entryPoints.map(([name]) => [name, new Map()]))};
+    const {namespaces, modules, imports, exports, elements, declarations} = state;
+    // Entry points with their own type definition files aren't entry files of the primary module, even if they were also given as entry files
+    const isEntryFile = (fileName) => !!entryFiles?.includes(fileName) && !entries.has(fileName);
+    
+    if (cache) updateGeneratorCache(cache, program);
+    
+    // Go through all loaded source files to build the declaration file, saving what was found in each in the order files were loaded
+    for (let sourceFile of program.getSourceFiles()) if (!sourceFile.isDeclarationFile) {
+        const context = {externalModules, isEntry: isEntryFile(sourceFile.fileName), entry: entries.get(sourceFile.fileName)};
+        for (let write of getCachedExtraction(cache, program, sourceFile, JSON.stringify(context), () => extractSourceFile(checker, sourceFile, context))) write(state);
     }
     
-    // Generate the declaration file and "print" it, returning the contents
-    return ts.createPrinter({removeComments: false}).printFile(generateDeclarationFile(checker, {moduleName, defaultExport, imports, exports, modules, namespaces}));
+    // Namespaced type references can only be checked once everything the library declares has been found
+    registerDeclaredNames(checker, namespaces);
+    
+    return {program, checker, diagnostics, model: createApiModel(checker, {moduleName, defaultExport, exportAssignment: state.exportAssignment, imports, exports, modules, elements, namespaces, entryPoints: declarations})};
+};
+
+/**
+ * The discovered API surface of a JavaScript library, and details of any problems encountered while discovering it
+ * @typedef {Object} AnalysedSources
+ * @prop {ApiModel} model - serialisable model of the namespaces, classes, members, and type definitions discovered in the library
+ * @prop {Diagnostic[]} diagnostics - any type annotations that could not be accurately resolved
+ */
+
+/**
+ * Build a serialisable model of the API surface of a JavaScript library from its JSDoc type annotations, without generating type definitions
+ * @param {Object} [config={}] - configuration and source file contents to build the model for
+ * @param {String} config.moduleName - name of the module primarily being declared for the library
+ * @param {String} config.defaultExport - name of the default export of the primary module declaration
+ * @param {Map<String,String>} [config.sourceFiles] - preloaded source files to include in the TypeScript program
+ * @param {String[]} [config.entryFiles] - file names of library entry files
+ * @param {Object<String, String>} [config.entryPoints] - file names of library entry files, keyed by entry point name
+ * @param {String[]} [config.externalModules] - any external modules used in type annotations
+ * @param {Object} [config.compilerOptions] - any additional options to pass through to the TypeScript compiler
+ * @param {String} [config.fileName] - file name of the primary module's type definition file, which determines which entry point it declares
+ * @param {GeneratorCache} [config.cache] - state kept from previous runs, so unchanged source files aren't parsed or walked again
+ * @returns {AnalysedSources} the model of the library's API surface, and any diagnostics
+ */
+export function analyse({moduleName, entryFiles, entryPoints = {}, fileName = `${moduleName}.d.ts`, ...config} = {}) {
+    const entries = resolveEntryPoints(entryPoints, fileName);
+    const {model, diagnostics} = analyseSources({...config, moduleName, entryFiles: resolveEntryFiles(entryFiles, entries), entryPoints: entries.filter(([,, declared]) => declared !== fileName)});
+    
+    return {model, diagnostics};
+}
+
+/**
+ * Generate a TypeScript type definition file for a JavaScript library using JSDoc type annotations, collecting diagnostics along the way
+ * @param {Object} [config={}] - configuration and source file contents to generate type definitions for
+ * @param {String} config.moduleName - name of the module primarily being declared for the library
+ * @param {String} config.defaultExport - name of the default export of the primary module declaration
+ * @param {Map<String,String>} [config.sourceFiles] - preloaded source files to include in the TypeScript program
+ * @param {String[]} [config.entryFiles] - file names of library entry files
+ * @param {Object<String, String>} [config.entryPoints] - file names of library entry files that should each have their own type definition file, keyed by entry point name
+ * @param {String[]} [config.externalModules] - any external modules used in type annotations
+ * @param {Object} [config.compilerOptions] - any additional options to pass through to the TypeScript compiler
+ * @param {Boolean} [config.validate=false] - whether to type-check the generated type definition file, including any errors in diagnostics
+ * @param {Boolean} [config.declarationMap=false] - whether to generate a declaration map linking the type definition file back to its JavaScript sources
+ * @param {"ambient"|"esm"} [config.moduleFormat="ambient"] - whether to declare ambient modules in one type definition file, or plain ES modules in one type definition file per module
+ * @param {"union"|"enum"|"const"|"object"} [config.enumFormat="union"] - whether to declare enums assigned an object literal as a union of their values, an enum, a const enum, or a constant object with a type alias of its values
+ * @param {Boolean} [config.documentation=false] - whether to generate markdown reference documentation pages from the declarations
+ * @param {String[]} [config.schemas] - qualified names of type definitions to generate JSON Schema documents for
+ * @param {String[]} [config.validators] - qualified names of type definitions to generate runtime guards for
+ * @param {TagHandler[]} [config.tagHandlers] - handlers for custom JSDoc tags, which can add, replace, or drop generated declarations and comments
+ * @param {String} [config.fileName] - file name of the primary module's type definition file, which other modules' type definition files are placed next to
+ * @param {GeneratorCache} [config.cache] - state kept from previous runs, so unchanged source files aren't parsed or walked again
+ * @returns {GeneratedDeclarations} the generated type definition file, and any diagnostics
+ */
+export function generate({moduleName, defaultExport, entryFiles, entryPoints = {}, validate = false, declarationMap = false, moduleFormat = "ambient", enumFormat = "union", documentation = false, schemas = [], validators = [], tagHandlers = [], fileName = `${moduleName}.d.ts`, ...config} = {}) {
+    const entries = resolveEntryPoints(entryPoints, fileName);
+    // Entry points that aren't declared by the primary module declare their own exported values, so only the shared declarations end up in the primary module
+    const separate = entries.filter(([,, declared]) => declared !== fileName);
+    const {program, checker, diagnostics, model} = analyseSources({...config, moduleName, defaultExport, entryFiles: resolveEntryFiles(entryFiles, entries), entryPoints: separate});
+    // Tag handlers are applied as declarations are generated, so they need to be registered first
+    registerTagHandlers(checker, tagHandlers);
+    // Declarations are generated from the model, so anything built on top of the model sees exactly what gets declared
+    const content = {...resolveModelContent(model), enumFormat};
+    const {namespaces} = content;
+    
+    // Generate the declaration files and "print" them, returning the contents
+    // Entry points that aren't the primary module get their own declaration files, which declare their own values and re-export anything else from the primary module
+    const entryDeclarations = new Map(separate.map(([name, entryFile, declared]) => [declared, {
+        exported: resolveEntryExports(checker, program.getSourceFile(entryFile), namespaces),
+        values: content.entryPoints.get(name)
+    }]));
+    const declarationFiles = new Map([
+        ...(moduleFormat === "esm" ? generateModuleDeclarationFiles(checker, content, fileName) : [[fileName, generateDeclarationFile(checker, content)]]),
+        ...generateEntryDeclarationFiles(checker, entryDeclarations, {moduleName, fileName, moduleFormat, namespaces})
+    ]);
+    const printer = ts.createPrinter({removeComments: false});
+    const files = new Map(Array.from(declarationFiles, ([name, declarationFile]) => [name, alignComments(printer.printFile(declarationFile))]));
+    const text = files.get(fileName);
+    
+    // Only trace generated nodes back to their source when something actually needs them
+    const traced = validate || declarationMap ? traceGeneratedNodes(declarationFiles.get(fileName), ts.createSourceFile(resolve(fileName), text, ts.ScriptTarget.Latest, true)) : [];
+    
+    // If requested, make sure the declaration files are actually valid, tracing any errors back to their source
+    if (validate) diagnostics.push(...validateDeclarationFiles(new Map(Array.from(files, ([name, text]) => [resolve(name), {text, traced: name === fileName ? traced : []}])), config?.compilerOptions));
+    // The primary module's declaration file is returned as text, so only include other modules in the files
+    files.delete(fileName);
+    
+    // Documentation, schemas, and validators are always generated from ambient module declarations, where everything the library declares is in one place
+    // Enums are also always declared as unions of their values there, since that's how schemas and validators describe them
+    const ambient = (documentation || schemas.length || validators.length) && (moduleFormat === "ambient" && enumFormat === "union" ? text : alignComments(printer.printFile(generateDeclarationFile(checker, {...content, enumFormat: "union"}))));
+    
+    return {
+        text, diagnostics,
+        ...(declarationMap ? {map: createDeclarationMap(traced)} : {}),
+        ...(documentation ? {pages: generateDocumentation(ambient, moduleName)} : {}),
+        ...(schemas.length ? {schemas: generateSchemas(ambient, moduleName, schemas, collectPropertyDefaults(namespaces))} : {}),
+        ...(validators.length ? {validators: new Map([[`${fileName.replace(/\.d\.ts$/, "")}.validators.js`, generateGuardModule(ambient, moduleName, validators)]])} : {}),
+        ...(moduleFormat === "esm" || entries.length ? {files} : {})
+    };
+}
+
+/**
+ * Compare the declared API of two versions of a JavaScript library, working out what kind of semantic versioning release the changes require
+ * @param {String|Object} before - type definition file contents for the earlier version, or configuration to generate them with
+ * @param {String|Object} after - type definition file contents for the later version, or configuration to generate them with
+ * @returns {ApiComparison} every change to the declared API, and what kind of release they require
+ */
+export function compare(before, after) {
+    return compareDeclaredApi(...[before, after].map((version) => (typeof version === "string" ? version : generate(version).text)));
+}
+
+/**
+ * Generate a TypeScript type definition file for a JavaScript library using JSDoc type annotations
+ * @param {Object} [config={}] - configuration and source file contents to generate type definitions for
+ * @param {String} config.moduleName - name of the module primarily being declared for the library
+ * @param {String} config.defaultExport - name of the default export of the primary module declaration
+ * @param {Map<String,String>} [config.sourceFiles] - preloaded source files to include in the TypeScript program
+ * @param {String[]} [config.entryFiles] - file names of library entry files
+ * @param {String[]} [config.externalModules] - any external modules used in type annotations
+ * @param {Object} [config.compilerOptions] - any additional options to pass through to the TypeScript compiler
+ * @param {TagHandler[]} [config.tagHandlers] - handlers for custom JSDoc tags, which can add, replace, or drop generated declarations and comments
+ * @returns {String} the generated type definition file
+ */
+export default function ostensiblyTyped(config = {}) {
+    return generate(config).text;
 }
\ No newline at end of file
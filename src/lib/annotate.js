@@ -1,5 +1,6 @@
 import ts from "typescript";
 import {isJSDocTypeAnnotationTag} from "./filter.js";
+import {getSourceText} from "./report.js";
 
 /**
  * Standardise a JSDoc comment to TSDoc format
@@ -8,37 +9,127 @@ import {isJSDocTypeAnnotationTag} from "./filter.js";
  */
 export const standardiseComment = (comment) => comment.replace(/^([-*]\s+)?(.)(.*)/, (_, __, p1, p2) => `${p1.toUpperCase()}${p2}`);
 
+/**
+ * Names of JSDoc tags that should be carried over into declaration comments, and the TSDoc tag names they should become
+ * @type {Map<String, String>}
+ */
+const carriedTagNames = new Map([
+    ["deprecated", "deprecated"], ["example", "example"], ["see", "see"], ["since", "since"], ["default", "defaultValue"], ["defaultvalue", "defaultValue"]
+]);
+
+/**
+ * Resolve the fully qualified namespace name of an entity referenced by a JSDoc link or see tag
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.EntityName|ts.JSDocMemberName} name - the referenced entity name to resolve
+ * @returns {String} the qualified name of the referenced entity, or the name as written if it could not be resolved
+ */
+const resolveLinkName = (checker, name) => {
+    const names = (function traverse(node) {
+        return ts.isIdentifier(node) ? [node] : [...traverse(node.left), node.right];
+    })(name);
+    const symbol = checker.getSymbolAtLocation(names[0]);
+    const declaration = (symbol && symbol.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(symbol) : symbol)?.declarations?.[0];
+    // Classes and values declared in namespaces are named by their namespace or alias tags
+    const [tag] = declaration ? ts.getAllJSDocTags(declaration, ({tagName: {escapedText}, comment}) => ["namespace", "alias"].includes(escapedText) && !!comment) : [];
+    
+    return [tag ? ts.getTextOfJSDocComment(tag.comment) : names[0].escapedText, ...names.slice(1).map(({escapedText}) => escapedText)].join(".");
+};
+
+/**
+ * Resolve the text of a JSDoc comment, rewriting any inline link tags to use fully qualified namespace names
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {String|ts.NodeArray<ts.JSDocComment>} [comment] - the JSDoc comment to resolve text for
+ * @returns {String|undefined} the text of the comment, with any inline link tags resolved
+ */
+const resolveCommentText = (checker, comment) => (typeof comment === "string" || !comment ? comment : comment.map((node) => {
+    if (ts.isJSDocLink(node) || ts.isJSDocLinkCode(node) || ts.isJSDocLinkPlain(node)) {
+        const kind = ts.isJSDocLink(node) ? "link" : ts.isJSDocLinkCode(node) ? "linkcode" : "linkplain";
+        // Match TypeScript's own spacing of link names and text, so URLs don't get broken up
+        const space = node.name && (node.text === "" || node.text.startsWith("://")) ? "" : " ";
+        
+        return `{@${kind} ${node.name ? resolveLinkName(checker, node.name) : ""}${space}${node.text}}`;
+    }
+    
+    return node.text;
+}).join(""));
+
+/**
+ * Extract and format any JSDoc tags that should be carried over into declaration comments
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.JSDocTag[]} [tags] - all JSDoc tags belonging to a comment
+ * @returns {ts.JSDocTag[]} the carried over tags, renamed to their TSDoc equivalents
+ */
+export const annotateTags = (checker, tags) => (tags ?? []).filter(({tagName}) => carriedTagNames.has(tagName.escapedText.toLowerCase())).map((tag) => {
+    // See tags keep their reference separate to their comment, so put them back together
+    const reference = ts.isJSDocSeeTag(tag) && tag.name ? resolveLinkName(checker, tag.name.name) : undefined;
+    // TypeScript sometimes mistakes the next line's leading asterisk for the comment of a see tag
+    const text = resolveCommentText(checker, tag.comment)?.replace(/^\*$/, "");
+    const comment = [reference, text].filter((s) => !!s).join(" ");
+    // Examples always start on their own line, since anything after the tag would otherwise be taken as their title...
+    const isExample = tag.tagName.escapedText.toLowerCase() === "example";
+    // ...and other multi-line comments keep starting on their own line, if that's where they started in the source
+    const prefix = isExample || (comment.includes("\n") && /^@\w+[ \t]*\r?\n/.test(getSourceText(tag) ?? "")) ? "\n" : "";
+    
+    return ts.factory.createJSDocUnknownTag(
+        ts.factory.createIdentifier(carriedTagNames.get(tag.tagName.escapedText.toLowerCase())),
+        comment ? `${prefix}${comment}`.replaceAll("\n", "\n * ") : undefined
+    );
+});
+
 /**
  * Extract and format all JSDoc parameter and return tags
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
  * @param {ts.JSDocTag[]} [tags] - all JSDoc tags belonging to a comment
  * @param {ts.JSDocReturnTag} [returns] - the return tag to document
  * @returns {ts.JSDocTag[]} the parameter and return tags 
  */
-export const annotateParams = (tags, returns) => tags?.filter((tag) => ts.isJSDocParameterTag(tag))
-    .map((tag) => ([tag, ...(ts.isJSDocTypeLiteral(tag.typeExpression.type) ? tag.typeExpression.type.jsDocPropertyTags : [])])).flat()
-    .map((tag) => ts.factory.createJSDocParameterTag(tag.tagName, tag.name, false, undefined, tag.isNameFirst, standardiseComment(ts.getTextOfJSDocComment(tag.comment))))
-    .concat(...(returns?.comment ? ts.getTextOfJSDocComment(returns.comment).split("\n").map((c) => ts.factory.createJSDocReturnTag(returns.tagName, undefined, standardiseComment(c))) : []));
+export const annotateParams = (checker, tags, returns) => (tags ?? []).filter((tag) => ts.isJSDocParameterTag(tag))
+    .map((tag) => ([tag, ...(tag.typeExpression && ts.isJSDocTypeLiteral(tag.typeExpression.type) ? tag.typeExpression.type.jsDocPropertyTags : [])])).flat()
+    .map((tag) => ts.factory.createJSDocParameterTag(tag.tagName, tag.name, false, undefined, tag.isNameFirst, standardiseComment(resolveCommentText(checker, tag.comment) ?? "")))
+    .concat(...(returns?.comment ? resolveCommentText(checker, returns.comment).split("\n").map((c) => ts.factory.createJSDocReturnTag(returns.tagName, undefined, standardiseComment(c))) : []));
 
 /**
  * Annotate a single property of a type or class
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
  * @param {ts.JSDoc} prop - the property to annotate
  * @returns {ts.JSDoc[]} the annotated property
  */
-export const annotateProp = (prop) => (prop?.comment && !ts.isJSDocParameterTag(prop) ? [ts.factory.createJSDocComment(standardiseComment(ts.getTextOfJSDocComment(prop.comment)), [])] : []);
+export const annotateProp = (checker, prop) => {
+    const tags = prop && !ts.isJSDocPropertyTag(prop) && !ts.isJSDocParameterTag(prop) ? annotateTags(checker, prop.tags) : [];
+    const comment = prop?.comment && !ts.isJSDocParameterTag(prop) ? standardiseComment(resolveCommentText(checker, prop.comment)) : undefined;
+    
+    return (comment || tags.length ? [ts.factory.createJSDocComment(comment, tags)] : []);
+};
 
 /**
- * Annotate a class method or property accessor, including parameters and return value
- * @param {ts.ConstructorDeclaration|ts.MethodDeclaration|ts.AccessorDeclaration} node - the class method or property accessor to annotate
+ * Annotate a class declaration, including any carried over tags
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.ClassDeclaration} node - the class to annotate
+ * @returns {ts.JSDoc[]} the documentation comment describing the class
+ */
+export const annotateClass = (checker, node) => (node.jsDoc ?? []).filter(({tags}) => !tags?.some(isJSDocTypeAnnotationTag)).flatMap(({comment, tags}) => ((tags) => (
+    comment || tags.length ? [ts.factory.createJSDocComment(resolveCommentText(checker, comment), tags)] : []
+))(annotateTags(checker, tags)));
+
+/**
+ * Annotate a class method, property accessor, or function, including parameters and return value
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.ConstructorDeclaration|ts.MethodDeclaration|ts.AccessorDeclaration|ts.FunctionLikeDeclaration} node - the class method, property accessor, or function to annotate
  * @returns {JSDoc[]} the documentation comment describing the method
  */
-export const annotateMethod = (node) => (node.jsDoc ?? []).flatMap(({comment, tags}) => ((comment && !tags?.some(isJSDocTypeAnnotationTag)) || tags?.some((tag) => ts.isJSDocParameterTag(tag) && tag.comment)) ? [ts.factory.createJSDocComment(comment, annotateParams(tags, tags.find(ts.isJSDocReturnTag)))] : []);
+export const annotateMethod = (checker, node) => (node.jsDoc?.length ? node.jsDoc : ts.getJSDocCommentsAndTags(node).filter(ts.isJSDoc)).flatMap(({comment, tags}) => (
+    (!tags?.some(isJSDocTypeAnnotationTag) && (comment || annotateTags(checker, tags).length)) || tags?.some((tag) => ts.isJSDocParameterTag(tag) && tag.comment)
+) ? [ts.factory.createJSDocComment(resolveCommentText(checker, comment), [...annotateParams(checker, tags, tags?.find(ts.isJSDocReturnTag)), ...annotateTags(checker, tags)])] : []);
 
 /**
  * Annotate a function type expression, including parameters and return value
- * @param {ts.JSDocCallbackTag} node - the callback tag representing the function type expression
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.JSDocCallbackTag|ts.JSDocOverloadTag} node - the callback tag representing the function type expression
  * @returns {ts.JSDoc[]} the documentation comment describing the function type
  */
-export const annotateFunction = (node) => (node.parent?.comment ? [ts.factory.createJSDocComment(node.parent.comment, annotateParams(node.typeExpression.parameters, node.typeExpression.type))] : []);
+export const annotateFunction = (checker, node) => ((tags) => (node.parent?.comment || tags.length ? [
+    ts.factory.createJSDocComment(resolveCommentText(checker, node.parent.comment), [...annotateParams(checker, node.typeExpression.parameters, node.typeExpression.type), ...tags])
+] : []))(annotateTags(checker, node.parent?.tags));
 
 /**
  * Add a remark as a leading synthetic comment to a node
@@ -47,3 +138,15 @@ export const annotateFunction = (node) => (node.parent?.comment ? [ts.factory.cr
  * @returns {ts.Node} the original node, with possible leading comment
  */
 export const annotateRemark = (node, comment) => comment ? ts.addSyntheticLeadingComment(node, ts.SyntaxKind.SingleLineCommentTrivia, ` ${comment}`) : node;
+
+/**
+ * Align any continuation lines of multi-line JSDoc tag comments in a printed declaration file with the rest of their comment
+ * @param {String} text - the printed declaration file
+ * @returns {String} the printed declaration file, with continuation lines indented to match their comment
+ */
+export const alignComments = (text) => text.split("\n").reduce((lines, line) => {
+    // The printer doesn't indent line breaks within tag comments, so borrow indentation from the previous comment line
+    const [, indent] = (/^ \*( |$)/.test(line) && /^(\s+)\*( |$)/.exec(lines.at(-1) ?? "")) || [];
+    
+    return [...lines, (indent ? `${indent}${line.slice(1)}` : line).replace(/^(\s+\*.*?)[ \t]+$/, "$1")];
+}, []).join("\n");
@@ -0,0 +1,96 @@
+import ts from "typescript";
+import {createHash} from "crypto";
+
+/**
+ * A parsed source file, along with anything else about it that only needs working out once
+ * @typedef {Object} CachedSourceFile
+ * @prop {String} hash - hash of the source file's contents when it was parsed
+ * @prop {ts.SourceFile} sourceFile - the parsed source file
+ * @prop {CachedExtraction} [extraction] - what was found in the source file when it was last walked
+ */
+
+/**
+ * Everything found while walking a source file, kept so the file only needs walking again if it or anything it depends on changes
+ * @typedef {Object} CachedExtraction
+ * @prop {String} context - key describing how the source file was walked, such as whether it was an entry file
+ * @prop {ts.SourceFile[]} dependencies - other source files the type checker resolved anything found in the source file from
+ * @prop {Function[]} writes - saves everything found in the source file to the API surface being built, in source order
+ */
+
+/**
+ * State kept between generator runs, so unchanged source files don't need to be parsed or walked again
+ * @typedef {Object} GeneratorCache
+ * @prop {ts.Program} [program] - the previous run's TypeScript program, reused as the old program of the next run
+ * @prop {Map<String, CachedSourceFile>} sourceFiles - parsed source files from previous runs, keyed by file name
+ */
+
+/**
+ * Create an empty cache to share between generator runs, such as successive builds in watch mode
+ * @returns {GeneratorCache} the empty generator cache
+ */
+export const createGeneratorCache = () => ({program: undefined, sourceFiles: new Map()});
+
+/**
+ * Hash the contents of a source file, to determine whether it has changed since it was last parsed
+ * @param {String} text - contents of the source file
+ * @returns {String} hex encoded hash of the contents
+ */
+const hashContent = (text) => createHash("sha1").update(text).digest("hex");
+
+/**
+ * Wrap a compiler host's source file getter so source files whose contents haven't changed are served from the cache
+ * @param {GeneratorCache} cache - where previously parsed source files are kept
+ * @param {ts.CompilerHost} host - the compiler host whose source files should be cached
+ * @returns {ts.CompilerHost["getSourceFile"]} the caching source file getter
+ */
+export const cacheSourceFiles = (cache, {getSourceFile, readFile}) => (fileName, languageVersionOrOptions, onError, shouldCreateNewSourceFile) => {
+    const text = readFile(fileName);
+    const hash = text !== undefined ? hashContent(text) : undefined;
+    const cached = cache.sourceFiles.get(fileName);
+    
+    // The old program only reuses source files that are the exact same object, so hand back the cached one if nothing changed
+    if (!shouldCreateNewSourceFile && !!hash && cached?.hash === hash) return cached.sourceFile;
+    
+    // Parse the contents that were just hashed, rather than reading the file all over again
+    const sourceFile = text !== undefined ? ts.createSourceFile(fileName, text, languageVersionOrOptions) : getSourceFile(fileName, languageVersionOrOptions, onError, shouldCreateNewSourceFile);
+    
+    if (sourceFile && hash) cache.sourceFiles.set(fileName, {hash, sourceFile});
+    else cache.sourceFiles.delete(fileName);
+    
+    return sourceFile;
+};
+
+/**
+ * Forget any cached source files that are no longer part of the latest program, and keep the program for the next run
+ * @param {GeneratorCache} cache - the generator cache to update
+ * @param {ts.Program} program - the latest TypeScript program
+ */
+export const updateGeneratorCache = (cache, program) => {
+    for (let fileName of cache.sourceFiles.keys()) {
+        if (cache.sourceFiles.get(fileName).sourceFile !== program.getSourceFile(fileName)) cache.sourceFiles.delete(fileName);
+    }
+    
+    cache.program = program;
+};
+
+/**
+ * Get everything found in a source file, only walking the source file if it, or anything it depends on, changed since it was last walked
+ * @param {GeneratorCache} [cache] - where previously walked source files are kept
+ * @param {ts.Program} program - the latest TypeScript program
+ * @param {ts.SourceFile} sourceFile - the source file to get writes for
+ * @param {String} context - key describing how the source file should be walked
+ * @param {(sourceFile: ts.SourceFile) => {dependencies: ts.SourceFile[], writes: Function[]}} walk - method of finding everything in a source file
+ * @returns {Function[]} writes that save everything found in the source file, in source order
+ */
+export const getCachedExtraction = (cache, program, sourceFile, context, walk) => {
+    const cached = cache?.sourceFiles.get(sourceFile.fileName);
+    
+    // Only trust cached writes if they were found in this exact source file...
+    if (cached?.sourceFile !== sourceFile) return walk(sourceFile).writes;
+    // ...walked the same way, with the same versions of any source files they depend on
+    if (cached.extraction?.context !== context || cached.extraction.dependencies.some((dependency) => program.getSourceFile(dependency.fileName) !== dependency)) {
+        cached.extraction = {context, ...walk(sourceFile)};
+    }
+    
+    return cached.extraction.writes;
+};
@@ -0,0 +1,367 @@
+import ts from "typescript";
+
+/**
+ * How significant a change to the declared API is, in semantic versioning terms
+ * @typedef {"major"|"minor"|"patch"} ChangeSeverity
+ */
+
+/**
+ * A single change to the declared API between two versions
+ * @typedef {Object} ApiChange
+ * @prop {ChangeSeverity} severity - what kind of release the change requires
+ * @prop {String} name - qualified name of the changed declaration, using "#" for instance members of classes
+ * @prop {String} change - what kind of change was made, such as "removed", "added", or "return-type"
+ * @prop {String} description - human-readable description of the change
+ * @prop {String} [before] - the relevant part of the declaration before the change
+ * @prop {String} [after] - the relevant part of the declaration after the change
+ */
+
+/**
+ * Every change to the declared API between two versions, and what kind of release they require together
+ * @typedef {Object} ApiComparison
+ * @prop {ChangeSeverity|"none"} release - the most significant severity of all changes, or "none" if nothing changed
+ * @prop {ApiChange[]} changes - every change to the declared API, most significant first
+ */
+
+/**
+ * A parameter of a declared function-like signature
+ * @typedef {Object} DeclaredParameter
+ * @prop {String} name - name of the parameter
+ * @prop {Boolean} optional - whether callers can leave the parameter out
+ * @prop {String} [type] - the declared type of the parameter
+ */
+
+/**
+ * A declared function-like signature
+ * @typedef {Object} DeclaredSignature
+ * @prop {String} [typeParameters] - any declared type parameters of the signature
+ * @prop {DeclaredParameter[]} parameters - declared parameters of the signature
+ * @prop {String} [returns] - the declared return type of the signature
+ */
+
+/**
+ * A declaration found in a declaration file, reduced to the parts that matter for comparison
+ * @typedef {Object} DeclaredApi
+ * @prop {String} kind - what kind of declaration it is, such as "class", "method", or "type"
+ * @prop {DeclaredSignature[]} [signatures] - any call signatures of function-like declarations, including overloads
+ * @prop {String} [type] - the declared type of properties, constants, and type aliases
+ * @prop {{name: String, optional: Boolean, type: String}[]} [shape] - members of type aliases for object types
+ * @prop {String[]} [heritage] - any types a class or interface extends or implements
+ * @prop {String[]} [modifiers] - any modifiers that change how the declaration can be used
+ * @prop {String} [comment] - the declaration's documentation comment, including tags
+ * @prop {Boolean} [deprecated] - whether the declaration is marked as deprecated
+ */
+
+/**
+ * Semantic versioning severities, from least to most significant
+ * @type {ChangeSeverity[]}
+ */
+const severities = ["patch", "minor", "major"];
+
+/**
+ * Modifiers that change how a declaration can be used
+ * @type {Map<ts.SyntaxKind, String>}
+ */
+const significantModifiers = new Map([
+    [ts.SyntaxKind.StaticKeyword, "static"],
+    [ts.SyntaxKind.ReadonlyKeyword, "readonly"],
+    [ts.SyntaxKind.ProtectedKeyword, "protected"],
+    [ts.SyntaxKind.PrivateKeyword, "private"],
+    [ts.SyntaxKind.AbstractKeyword, "abstract"],
+    [ts.SyntaxKind.ConstKeyword, "const"]
+]);
+
+/**
+ * Get the text of a node, without any comments and with consistent whitespace
+ * @param {ts.Node} [node] - the node to get text for
+ * @returns {String|undefined} the normalised text of the node
+ */
+const getNormalisedText = (node) => node?.getText().replaceAll(/\/\*[\s\S]*?\*\//g, "").replaceAll(/\s+/g, " ").replaceAll(/([{(<[]) | ([})>\]])/g, "$1$2").trim();
+
+/**
+ * Get the members of a union type, so changes to it can be recognised as narrowing or widening
+ * @param {String} [type] - the type to get union members of
+ * @returns {String[]} the members of the union type, or the type itself if it isn't a union
+ */
+const getUnionMembers = (type) => {
+    const node = type && ts.createSourceFile("type.ts", `type T = ${type};`, ts.ScriptTarget.Latest, true).statements[0]?.type;
+    
+    return !node ? [] : ts.isUnionTypeNode(node) ? node.types.map(getNormalisedText) : [getNormalisedText(node)];
+};
+
+/**
+ * Work out whether a type was narrowed, widened, or otherwise changed
+ * @param {String} [before] - the type before the change
+ * @param {String} [after] - the type after the change
+ * @returns {"narrowed"|"widened"|"changed"|undefined} how the type changed, if it did
+ */
+const resolveTypeChange = (before, after) => {
+    if (before === after) return;
+    
+    const [previous, next] = [getUnionMembers(before), getUnionMembers(after)];
+    
+    // Anything can be narrowed from, or widened to, the top types
+    if (!before || ["any", "unknown"].includes(before)) return "narrowed";
+    if (!after || ["any", "unknown"].includes(after)) return "widened";
+    // Otherwise, only union members being removed or added count as narrowing or widening
+    if (next.every((type) => previous.includes(type))) return "narrowed";
+    if (previous.every((type) => next.includes(type))) return "widened";
+    
+    return "changed";
+};
+
+/**
+ * Reduce a function-like declaration to its signature
+ * @param {ts.SignatureDeclaration} node - the function-like declaration
+ * @returns {DeclaredSignature} the declaration's signature
+ */
+const resolveSignature = (node) => ({
+    ...(node.typeParameters?.length ? {typeParameters: node.typeParameters.map(getNormalisedText).join(", ")} : {}),
+    parameters: node.parameters.map((param) => ({
+        name: getNormalisedText(param.name),
+        optional: !!(param.questionToken || param.initializer || param.dotDotDotToken),
+        ...(param.type ? {type: getNormalisedText(param.type)} : {})
+    })),
+    ...(node.type ? {returns: getNormalisedText(node.type)} : {})
+});
+
+/**
+ * Reduce a declaration to the parts that matter for comparison
+ * @param {ts.Node} node - the declaration to reduce
+ * @param {String} kind - what kind of declaration it is
+ * @returns {DeclaredApi} the reduced declaration
+ */
+const resolveDeclaredApi = (node, kind) => {
+    const type = ts.isGetAccessor(node) ? node.type : ts.isTypeAliasDeclaration(node) || ts.isPropertyDeclaration(node) || ts.isPropertySignature(node) || ts.isVariableDeclaration(node) ? node.type : (ts.isEnumMember(node) ? node.initializer : undefined);
+    const modifiers = (node.modifiers ?? ts.findAncestor(node, ts.isVariableStatement)?.modifiers ?? []).flatMap(({kind}) => significantModifiers.get(kind) ?? []);
+    const docs = ts.getJSDocCommentsAndTags(node).filter(ts.isJSDoc);
+    
+    return {
+        kind,
+        ...(ts.isFunctionLike(node) && !ts.isGetAccessor(node) && !ts.isSetAccessor(node) ? {signatures: [resolveSignature(node)]} : {}),
+        ...(type ? {type: getNormalisedText(type)} : {}),
+        ...(type && ts.isTypeLiteralNode(type) ? {shape: type.members.filter(ts.isPropertySignature).map((member) => ({
+            name: getNormalisedText(member.name), optional: !!member.questionToken, type: getNormalisedText(member.type)
+        }))} : {}),
+        ...(node.heritageClauses?.length ? {heritage: node.heritageClauses.flatMap(({types}) => types.map(getNormalisedText))} : {}),
+        // Getters without setters can only be read, so they're effectively readonly properties
+        modifiers: [...modifiers, ...(ts.isGetAccessor(node) && !node.parent.members.some((m) => ts.isSetAccessor(m) && m.name.getText() === node.name.getText()) ? ["readonly"] : [])],
+        ...(docs.length ? {comment: docs.map((doc) => doc.getText().replaceAll(/^\s*\*?\s*/gm, "")).join("\n")} : {}),
+        ...(ts.getJSDocDeprecatedTag(node) ? {deprecated: true} : {})
+    };
+};
+
+/**
+ * Collect every declaration in a declaration file, keyed by qualified name
+ * @param {String} text - contents of the declaration file
+ * @param {String} [fileName="index.d.ts"] - name of the declaration file, for parsing purposes
+ * @returns {Map<String, DeclaredApi>} the reduced declarations, keyed by qualified name
+ */
+export const collectDeclaredApi = (text, fileName = "index.d.ts") => {
+    const declarations = new Map();
+    const save = (name, api) => {
+        const existing = declarations.get(name);
+        
+        // Classes, interfaces, namespaces, and function overloads with the same name are merged together
+        if (!existing) declarations.set(name, api);
+        else declarations.set(name, {
+            ...existing, ...api,
+            kind: [existing.kind, api.kind].find((kind) => kind !== "namespace" && kind !== "interface") ?? api.kind,
+            ...(existing.signatures || api.signatures ? {signatures: [...(existing.signatures ?? []), ...(api.signatures ?? [])]} : {}),
+            ...(existing.heritage || api.heritage ? {heritage: [...new Set([...(existing.heritage ?? []), ...(api.heritage ?? [])])]} : {})
+        });
+    };
+    
+    (function visit(statements, prefix, path) {
+        for (let node of statements) {
+            const name = node.name && !ts.isStringLiteral(node.name) ? `${prefix}${[...path, node.name.text].join(".")}` : undefined;
+            
+            if (ts.isModuleDeclaration(node) && ts.isStringLiteral(node.name)) {
+                // Members of ambient modules are qualified by the module's name
+                visit(node.body?.statements ?? [], `${node.name.text}:`, []);
+            } else if (ts.isModuleDeclaration(node)) {
+                save(name, resolveDeclaredApi(node, "namespace"));
+                visit(node.body?.statements ?? [], prefix, [...path, node.name.text]);
+            } else if (ts.isClassDeclaration(node) || ts.isInterfaceDeclaration(node)) {
+                save(name, resolveDeclaredApi(node, ts.isClassDeclaration(node) ? "class" : "interface"));
+                
+                for (let member of node.members.filter((member) => ts.isConstructorDeclaration(member) || !!member.name)) {
+                    const isStatic = !!member.modifiers?.some(({kind}) => kind === ts.SyntaxKind.StaticKeyword);
+                    const kind = ts.isConstructorDeclaration(member) ? "constructor" : ts.isMethodDeclaration(member) || ts.isMethodSignature(member) ? "method" : ts.isSetAccessor(member) ? "setter" : "property";
+                    
+                    // Private members aren't part of the API, and setters are only relevant alongside their getters
+                    if (!member.modifiers?.some(({kind}) => kind === ts.SyntaxKind.PrivateKeyword) && kind !== "setter") {
+                        save(`${name}${isStatic ? "." : "#"}${kind === "constructor" ? "constructor" : member.name.getText()}`, resolveDeclaredApi(member, kind));
+                    }
+                }
+            } else if (ts.isFunctionDeclaration(node) && name) {
+                save(name, resolveDeclaredApi(node, "function"));
+            } else if (ts.isTypeAliasDeclaration(node)) {
+                save(name, resolveDeclaredApi(node, "type"));
+            } else if (ts.isEnumDeclaration(node)) {
+                save(name, resolveDeclaredApi(node, "enum"));
+                
+                // Enum members are referenced by name, so each one is part of the API
+                for (let member of node.members) save(`${name}.${member.name.getText()}`, resolveDeclaredApi(member, "constant"));
+            } else if (ts.isVariableStatement(node)) {
+                for (let declaration of node.declarationList.declarations) save(`${prefix}${[...path, declaration.name.getText()].join(".")}`, resolveDeclaredApi(declaration, "constant"));
+            } else if (ts.isExportDeclaration(node) && node.exportClause && ts.isNamedExports(node.exportClause)) {
+                for (let {name} of node.exportClause.elements) save(`${prefix}${[...path, `export ${name.text}`].join(".")}`, {kind: "export"});
+            } else if (ts.isExportAssignment(node)) {
+                save(`${prefix}${[...path, "export default"].join(".")}`, {kind: "export", type: getNormalisedText(node.expression)});
+            }
+        }
+    })(ts.createSourceFile(fileName, text, ts.ScriptTarget.Latest, true, ts.ScriptKind.TS).statements, "", []);
+    
+    return declarations;
+};
+
+/**
+ * Compare the parameters of two signatures of the same declaration
+ * @param {String} name - qualified name of the declaration
+ * @param {DeclaredSignature} before - the signature before the change
+ * @param {DeclaredSignature} after - the signature after the change
+ * @returns {ApiChange[]} any changes to the signature
+ */
+const compareSignatures = (name, before, after) => {
+    const changes = [];
+    
+    for (let index = 0; index < Math.max(before.parameters.length, after.parameters.length); index++) {
+        const [previous, next] = [before.parameters[index], after.parameters[index]];
+        const label = `parameter '${next?.name ?? previous?.name}'`;
+        
+        // Callers can't pass new required parameters, and will still be passing removed ones
+        if (!previous) changes.push({severity: next.optional ? "minor" : "major", name, change: "parameter-added", description: `${next.optional ? "optional" : "required"} ${label} was added`, after: next.type});
+        else if (!next) changes.push({severity: "major", name, change: "parameter-removed", description: `${label} was removed`, before: previous.type});
+        else {
+            if (previous.optional !== next.optional) changes.push({
+                severity: next.optional ? "minor" : "major", name, change: "parameter-optionality",
+                description: `${label} is now ${next.optional ? "optional" : "required"}`
+            });
+            
+            // Parameters accept values, so narrowing them breaks callers and widening them doesn't
+            const typeChange = resolveTypeChange(previous.type, next.type);
+            if (typeChange) changes.push({
+                severity: typeChange === "widened" ? "minor" : "major", name, change: "parameter-type",
+                description: `type of ${label} was ${typeChange}`, before: previous.type, after: next.type
+            });
+        }
+    }
+    
+    // Return types produce values, so widening them breaks callers and narrowing them doesn't
+    const returnChange = resolveTypeChange(before.returns, after.returns);
+    if (returnChange) changes.push({
+        severity: returnChange === "narrowed" ? "minor" : "major", name, change: "return-type",
+        description: `return type was ${returnChange}`, before: before.returns, after: after.returns
+    });
+    
+    if (before.typeParameters !== after.typeParameters) changes.push({
+        severity: "major", name, change: "type-parameters", description: "type parameters were changed",
+        before: before.typeParameters, after: after.typeParameters
+    });
+    
+    return changes;
+};
+
+/**
+ * Compare two versions of the same declaration
+ * @param {String} name - qualified name of the declaration
+ * @param {DeclaredApi} before - the declaration before the change
+ * @param {DeclaredApi} after - the declaration after the change
+ * @returns {ApiChange[]} any changes to the declaration
+ */
+const compareDeclarations = (name, before, after) => {
+    const changes = [];
+    
+    if (before.kind !== after.kind) return [{severity: "major", name, change: "kind", description: `changed from ${before.kind} to ${after.kind}`, before: before.kind, after: after.kind}];
+    
+    // Compare overloads pairwise, treating any extras as added or removed
+    for (let index = 0; index < Math.max(before.signatures?.length ?? 0, after.signatures?.length ?? 0); index++) {
+        const [previous, next] = [before.signatures?.[index], after.signatures?.[index]];
+        
+        if (!previous) changes.push({severity: "minor", name, change: "overload-added", description: "an overload was added"});
+        else if (!next) changes.push({severity: "major", name, change: "overload-removed", description: "an overload was removed"});
+        else changes.push(...compareSignatures(name, previous, next));
+    }
+    
+    // Type aliases for object types are compared member by member, since they're used for both input and output
+    if (before.shape && after.shape) {
+        for (let previous of before.shape.filter(({name}) => !after.shape.some((m) => m.name === name))) {
+            changes.push({severity: "major", name, change: "typedef-shape", description: `property '${previous.name}' was removed`, before: previous.type});
+        }
+        
+        for (let next of after.shape) {
+            const previous = before.shape.find((m) => m.name === next.name);
+            
+            if (!previous) changes.push({severity: next.optional ? "minor" : "major", name, change: "typedef-shape", description: `${next.optional ? "optional" : "required"} property '${next.name}' was added`, after: next.type});
+            else if (previous.optional !== next.optional) changes.push({severity: "major", name, change: "typedef-shape", description: `property '${next.name}' is now ${next.optional ? "optional" : "required"}`});
+            else if (previous.type !== next.type) changes.push({severity: "major", name, change: "typedef-shape", description: `type of property '${next.name}' was ${resolveTypeChange(previous.type, next.type)}`, before: previous.type, after: next.type});
+        }
+    } else {
+        const typeChange = resolveTypeChange(before.type, after.type);
+        // Readable values can be narrowed safely, and type aliases like enums can be widened safely, but anything else is breaking
+        const isSafe = (typeChange === "narrowed" && (before.kind === "constant" || after.modifiers?.includes("readonly")))
+            || (typeChange === "widened" && before.kind === "type");
+        
+        if (typeChange) changes.push({
+            severity: isSafe ? "minor" : "major", name, change: before.kind === "type" ? "typedef-shape" : "type",
+            description: `type was ${typeChange}`, before: before.type, after: after.type
+        });
+    }
+    
+    for (let modifier of new Set([...(before.modifiers ?? []), ...(after.modifiers ?? [])])) {
+        const [had, has] = [!!before.modifiers?.includes(modifier), !!after.modifiers?.includes(modifier)];
+        
+        // Losing restrictions is safe, gaining them isn't
+        if (had !== has) changes.push({
+            severity: had && ["readonly", "protected", "abstract"].includes(modifier) ? "minor" : "major", name, change: "modifier",
+            description: `${modifier} modifier was ${has ? "added" : "removed"}`
+        });
+    }
+    
+    for (let type of (before.heritage ?? []).filter((type) => !after.heritage?.includes(type))) changes.push({severity: "major", name, change: "heritage", description: `no longer extends or implements '${type}'`});
+    for (let type of (after.heritage ?? []).filter((type) => !before.heritage?.includes(type))) changes.push({severity: "minor", name, change: "heritage", description: `now extends or implements '${type}'`});
+    
+    if (!before.deprecated && after.deprecated) changes.push({severity: "minor", name, change: "deprecated", description: "was deprecated"});
+    else if (before.comment !== after.comment) changes.push({severity: "patch", name, change: "documentation", description: "documentation was changed"});
+    
+    return changes;
+};
+
+/**
+ * Compare the declared API of two versions of a library
+ * @param {String} before - contents of the declaration file for the earlier version
+ * @param {String} after - contents of the declaration file for the later version
+ * @returns {ApiComparison} every change between the versions, and what kind of release they require
+ */
+export const compareDeclaredApi = (before, after) => {
+    const [previous, next] = [collectDeclaredApi(before), collectDeclaredApi(after)];
+    const changes = [];
+    
+    for (let [name, api] of previous) {
+        if (!next.has(name)) changes.push({severity: "major", name, change: "removed", description: `${api.kind} was removed`});
+        else changes.push(...compareDeclarations(name, api, next.get(name)));
+    }
+    
+    for (let [name, api] of next) {
+        if (!previous.has(name)) changes.push({severity: "minor", name, change: "added", description: `${api.kind} was added`});
+    }
+    
+    // Most significant changes first, otherwise in declaration order
+    changes.sort((a, b) => severities.indexOf(b.severity) - severities.indexOf(a.severity));
+    
+    return {release: changes.reduce((release, {severity}) => (severities.indexOf(severity) > severities.indexOf(release) ? severity : release), "none"), changes};
+};
+
+/**
+ * Format a comparison of two versions' declared APIs as a human-readable report
+ * @param {ApiComparison} comparison - the comparison to format
+ * @returns {String} the human-readable report
+ */
+export const formatComparison = ({release, changes}) => [
+    release === "none" ? "No changes to the declared API" : `Changes to the declared API require a ${release} release`,
+    ...[...severities].reverse().flatMap((severity) => ((changes) => changes.length ? [
+        "", `${severity[0].toUpperCase()}${severity.slice(1)} changes:`,
+        ...changes.map(({name, description, before, after}) => `  - ${name}: ${description}${before || after ? ` (${[before && `was '${before}'`, after && `now '${after}'`].filter((s) => !!s).join(", ")})` : ""}`)
+    ] : [])(changes.filter((change) => change.severity === severity)))
+].join("\n");
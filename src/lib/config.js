@@ -0,0 +1,235 @@
+import ts from "typescript";
+import {existsSync, readFileSync} from "fs";
+import {basename, dirname, join, resolve} from "path";
+import {pathToFileURL} from "url";
+
+/**
+ * Names of configuration files to look for, in order of preference
+ * @type {String[]}
+ */
+const configFileNames = ["ostensibly-typed.config.js", "ostensibly-typed.config.mjs", "ostensibly-typed.config.json"];
+
+/**
+ * Name of the key in package.json that may contain configuration
+ * @type {String}
+ */
+const packageJsonKey = "ostensiblyTyped";
+
+/**
+ * Diagnostic codes of project configuration problems that only concern which files are in the project, and not its compiler options
+ * @type {Number[]}
+ */
+const rootFileErrorCodes = [
+    // The 'files' list in config file is empty
+    18002,
+    // No inputs were found in config file
+    18003
+];
+
+/**
+ * @callback ConfigPropertyTest
+ * Test whether the value of a configuration property is valid
+ * @param {*} value - the value of the configuration property
+ * @returns {Boolean} whether the value is valid for the configuration property
+ */
+
+/**
+ * Check whether the value of a configuration property is an array of strings
+ * @type {ConfigPropertyTest}
+ */
+const isStringArray = (value) => Array.isArray(value) && value.every((v) => typeof v === "string");
+
+/**
+ * Validation methods and expected value descriptions for each known configuration property
+ * @type {Map<String, [ConfigPropertyTest, String]>}
+ */
+const configProperties = new Map([
+    ["moduleName", [(value) => typeof value === "string" && !!value.length, "a non-empty string"]],
+    ["defaultExport", [(value) => typeof value === "string" && !!value.length, "a non-empty string"]],
+    ["entryFiles", [isStringArray, "an array of file name strings"]],
+    ["entryPoints", [(value) => !!value && typeof value === "object" && !Array.isArray(value) && Object.values(value).every((v) => typeof v === "string"), "an object of entry point names and file name strings"]],
+    ["externalModules", [isStringArray, "an array of module name strings"]],
+    ["compilerOptions", [(value) => !!value && typeof value === "object" && !Array.isArray(value), "an object"]],
+    ["project", [(value) => typeof value === "string" && !!value.length, "a path to a tsconfig.json or jsconfig.json file"]],
+    ["assetName", [(value) => typeof value === "string" && !!value.length, "a non-empty string"]],
+    ["strict", [(value) => typeof value === "boolean", "a boolean"]],
+    ["validate", [(value) => typeof value === "boolean", "a boolean"]],
+    ["declarationMap", [(value) => typeof value === "boolean", "a boolean"]],
+    ["moduleFormat", [(value) => ["ambient", "esm"].includes(value), "one of 'ambient' or 'esm'"]],
+    ["enumFormat", [(value) => ["union", "enum", "const", "object"].includes(value), "one of 'union', 'enum', 'const', or 'object'"]],
+    ["exportsMap", [(value) => typeof value === "boolean", "a boolean"]],
+    ["apiReport", [(value) => typeof value === "string" && !!value.length, "a path to an API report file"]],
+    ["checkApiReport", [(value) => typeof value === "boolean", "a boolean"]],
+    ["schemas", [isStringArray, "an array of type definition name strings"]],
+    ["validators", [isStringArray, "an array of type definition name strings"]],
+    ["tagHandlers", [(value) => Array.isArray(value) && value.every((v) => typeof v?.handle === "function" && (v.tags === undefined || isStringArray(v.tags))), "an array of objects with a 'handle' method, and optional 'tags' array of tag name strings"]]
+]);
+
+/**
+ * OstensiblyTyped configuration, as found in configuration files or passed in explicitly
+ * @typedef {Object} OstensiblyTypedConfig
+ * @prop {String} [moduleName] - name of the module primarily being declared for the library
+ * @prop {String} [defaultExport] - name of the default export of the primary module declaration
+ * @prop {String[]} [entryFiles] - file names of library entry files
+ * @prop {Object<String, String>} [entryPoints] - file names of library entry files that should each have their own declaration file, keyed by entry point name
+ * @prop {String[]} [externalModules] - any external modules used in type annotations
+ * @prop {ts.CompilerOptions} [compilerOptions] - any additional options to pass through to the TypeScript compiler
+ * @prop {String} [project] - path to a tsconfig.json or jsconfig.json file to source compiler options from
+ * @prop {String} [assetName] - name of the emitted asset file when using a bundler plugin
+ * @prop {Boolean} [strict] - whether types that could not be accurately declared should be treated as errors
+ * @prop {Boolean} [validate] - whether the generated declaration file should be type-checked
+ * @prop {Boolean} [declarationMap] - whether a declaration map should be written alongside the generated declaration file
+ * @prop {"ambient"|"esm"} [moduleFormat] - whether to declare ambient modules in one declaration file, or plain ES modules in one declaration file per module
+ * @prop {"union"|"enum"|"const"|"object"} [enumFormat] - whether to declare enums assigned an object literal as a union of their values, an enum, a const enum, or a constant object with a type alias of its values
+ * @prop {Boolean} [exportsMap] - whether to suggest a package.json "exports" map for entry chunks when using a bundler plugin
+ * @prop {String} [apiReport] - where to write a normalised summary of the declared API, for reviewing changes to it
+ * @prop {Boolean} [checkApiReport] - whether to fail when the declared API differs from the existing API report, instead of writing it
+ * @prop {String[]} [schemas] - qualified names of type definitions to generate JSON Schema documents for
+ * @prop {String[]} [validators] - qualified names of type definitions to generate runtime guards for
+ * @prop {import("./extend.js").TagHandler[]} [tagHandlers] - handlers for custom JSDoc tags, which can add, replace, or drop generated declarations and comments
+ */
+
+/**
+ * Check that all properties of a configuration object are known, and have valid values
+ * @param {OstensiblyTypedConfig} config - the configuration object to validate
+ * @param {String} [source="options"] - where the configuration object came from, for use in error messages
+ * @returns {OstensiblyTypedConfig} the validated configuration object
+ * @throws {TypeError} when the configuration is not an object, or has unknown or invalid properties
+ */
+export const validateConfig = (config, source = "options") => {
+    if (!config || typeof config !== "object" || Array.isArray(config))
+        throw new TypeError(`Invalid configuration in ${source}, expected an object`);
+    
+    for (let [key, value] of Object.entries(config)) {
+        // Make sure each property is actually a known property...
+        if (!configProperties.has(key))
+            throw new TypeError(`Unknown '${key}' config property in ${source}, expected one of '${[...configProperties.keys()].join("', '")}'`);
+        
+        // ...and that the value is the expected type
+        const [test, expected] = configProperties.get(key);
+        if (value !== undefined && !test(value))
+            throw new TypeError(`Invalid '${key}' config property in ${source}, expected ${expected}`);
+    }
+    
+    return config;
+};
+
+/**
+ * Read compiler options from a TypeScript project configuration file
+ * @param {String} fileName - path to the tsconfig.json or jsconfig.json file to read
+ * @param {Boolean} [required=true] - whether the project was explicitly specified, so its root files are also needed
+ * @returns {{compilerOptions: ts.CompilerOptions, fileNames: String[]}} parsed compiler options and root file names of the project
+ * @throws {Error} when the project configuration file could not be read or parsed
+ */
+export const readProjectConfig = (fileName, required = true) => {
+    const {config, error} = ts.readConfigFile(fileName, ts.sys.readFile);
+    const format = (diagnostic) => ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n");
+    
+    // Bail out if the file couldn't be read...
+    if (error) throw new Error(`Unable to read ${fileName}: ${format(error)}`);
+    
+    // ...or if it couldn't be understood, ignoring which files are in a project that was only discovered
+    const {options: compilerOptions, fileNames, errors} = ts.parseJsonConfigFileContent(required ? config : {...config, files: [], include: []}, ts.sys, dirname(fileName), undefined, fileName);
+    const problems = required ? errors : errors.filter(({code}) => !rootFileErrorCodes.includes(code));
+    if (problems.length) throw new Error(`Unable to parse ${fileName}: ${problems.map(format).join("\n")}`);
+    
+    return {compilerOptions, fileNames};
+};
+
+/**
+ * Read the contents of a package.json file, which may or may not contain OstensiblyTyped configuration
+ * @param {String} fileName - path to the package.json file to read
+ * @returns {Object} the parsed contents of the package.json file
+ * @throws {Error} when the package.json file could not be read or is not valid JSON
+ */
+const readPackageJson = (fileName) => {
+    try {
+        return JSON.parse(readFileSync(fileName, "utf8")) ?? {};
+    } catch (ex) {
+        throw new Error(`Unable to read ${fileName}: ${ex.message}`);
+    }
+};
+
+/**
+ * Find the nearest OstensiblyTyped configuration file, or package.json file with OstensiblyTyped configuration
+ * @param {String} [cwd=process.cwd()] - directory to start looking for configuration files in
+ * @returns {String|undefined} path to the nearest configuration file, if any
+ * @throws {Error} when a package.json file along the way could not be read or is not valid JSON
+ */
+export const findConfigFile = (cwd = process.cwd()) => {
+    for (let dir = resolve(cwd), parent; dir !== parent; parent = dir, dir = dirname(dir)) {
+        const fileName = configFileNames.map((name) => join(dir, name)).find((fileName) => existsSync(fileName));
+        const packageJson = join(dir, "package.json");
+        
+        // Prefer dedicated configuration files over package.json keys
+        if (fileName) return fileName;
+        if (existsSync(packageJson) && Object.hasOwn(readPackageJson(packageJson), packageJsonKey)) return packageJson;
+    }
+};
+
+/**
+ * Read OstensiblyTyped configuration from a given configuration file
+ * @param {String} fileName - path to the configuration file to read
+ * @returns {Promise<OstensiblyTypedConfig>} the validated configuration from the file
+ * @throws {Error} when the configuration file could not be read or is invalid
+ */
+export const readConfigFile = async (fileName) => {
+    const baseName = basename(fileName);
+    let config;
+    
+    try {
+        // JavaScript config files are modules whose default export is the config...
+        if (!fileName.endsWith(".json")) config = (await import(/* @vite-ignore */ pathToFileURL(fileName).href)).default;
+        // ...whereas JSON config files either are the config, or contain it in a key
+        else config = ((json) => (baseName === "package.json" ? json[packageJsonKey] : json))(JSON.parse(readFileSync(fileName, "utf8")));
+    } catch (ex) {
+        throw new Error(`Unable to read ${fileName}: ${ex.message}`);
+    }
+    
+    // Allow JavaScript config files to export a function that returns the config
+    if (typeof config === "function") config = await config();
+    
+    const {entryFiles, entryPoints, compilerOptions, project, apiReport, ...rest} = validateConfig(config, baseName === "package.json" ? `'${packageJsonKey}' key of ${fileName}` : fileName);
+    const {options, errors} = compilerOptions ? ts.convertCompilerOptionsFromJson(compilerOptions, dirname(fileName), fileName) : {errors: []};
+    
+    // Compiler options in config files are expected to match their tsconfig.json format
+    if (errors.length) throw new Error(`Invalid 'compilerOptions' config property in ${fileName}: ${errors.map(({messageText}) => ts.flattenDiagnosticMessageText(messageText, "\n")).join("\n")}`);
+    
+    return {
+        ...rest,
+        // Resolve any file paths relative to the config file
+        ...(entryFiles ? {entryFiles: entryFiles.map((name) => resolve(dirname(fileName), name))} : {}),
+        ...(entryPoints ? {entryPoints: Object.fromEntries(Object.entries(entryPoints).map(([key, name]) => [key, resolve(dirname(fileName), name)]))} : {}),
+        ...(project ? {project: resolve(dirname(fileName), project)} : {}),
+        ...(apiReport ? {apiReport: resolve(dirname(fileName), apiReport)} : {}),
+        ...(options ? {compilerOptions: options} : {})
+    };
+};
+
+/**
+ * Load OstensiblyTyped configuration, merging any explicit options with discovered configuration and project compiler options
+ * @param {OstensiblyTypedConfig} [options={}] - explicitly specified options, which take precedence over discovered configuration
+ * @param {Object} [context={}] - where to look for configuration files
+ * @param {String} [context.cwd=process.cwd()] - directory to start looking for configuration and project files in
+ * @param {String|false} [context.configFile] - explicit path to a configuration file, or false to skip configuration file discovery
+ * @returns {Promise<OstensiblyTypedConfig>} the merged and validated configuration
+ * @throws {Error} when any configuration file could not be read or is invalid
+ */
+export const loadConfig = async (options = {}, {cwd = process.cwd(), configFile} = {}) => {
+    // Drop any undefined explicit options so they don't overwrite discovered configuration
+    const explicit = validateConfig(Object.fromEntries(Object.entries(options ?? {}).filter(([, value]) => value !== undefined)));
+    const fileName = configFile === false ? undefined : (configFile ? resolve(cwd, configFile) : findConfigFile(cwd));
+    const discovered = fileName ? await readConfigFile(fileName) : {};
+    const specified = (explicit.project && resolve(cwd, explicit.project)) ?? discovered.project;
+    // Find the nearest TypeScript or JavaScript project file, if one wasn't specified
+    const project = specified ?? ts.findConfigFile(cwd, ts.sys.fileExists, "tsconfig.json") ?? ts.findConfigFile(cwd, ts.sys.fileExists, "jsconfig.json");
+    // Only compiler options are used from discovered project files, so problems with which files they include don't matter
+    const {compilerOptions} = project ? readProjectConfig(project, !!specified) : {};
+    
+    return {
+        ...discovered, ...explicit,
+        ...(project ? {project} : {}),
+        // Compiler options from the project file have the lowest precedence
+        compilerOptions: {...(compilerOptions ?? {}), ...(discovered.compilerOptions ?? {}), ...(explicit.compilerOptions ?? {})}
+    };
+};
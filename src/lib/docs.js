@@ -0,0 +1,428 @@
+import ts from "typescript";
+
+/**
+ * Printer used to print declaration signatures in documentation pages, without any of their comments
+ * @type {ts.Printer}
+ */
+const printer = ts.createPrinter({removeComments: true});
+
+/**
+ * Headings for each group of namespace members, in the order they appear on a page
+ * @type {Map<String, String>}
+ */
+const memberGroups = new Map([["class", "Classes"], ["namespace", "Namespaces"], ["function", "Functions"], ["constant", "Constants"], ["type", "Type Aliases"]]);
+
+/**
+ * Headings for each group of class members, in the order they appear on a page
+ * @type {Map<String, String>}
+ */
+const classMemberGroups = new Map([["constructor", "Constructors"], ["property", "Properties"], ["method", "Methods"]]);
+
+/**
+ * A documented declaration, and every node that declares it
+ * @typedef {Object} DocumentedMember
+ * @prop {String} name - name of the declaration
+ * @prop {String} group - which group of members the declaration belongs to, such as "class" or "function"
+ * @prop {ts.Node[]} nodes - every node declaring the member, including any overloads
+ */
+
+/**
+ * A page of documentation for the module, or one of its namespaces or classes
+ * @typedef {Object} DocumentationPage
+ * @prop {String} qualifiedName - dot-separated name of the namespace or class, or an empty string for the module itself
+ * @prop {String} fileName - name of the page's markdown file
+ * @prop {String[]} scope - names of the namespaces that types referenced on the page are resolved in
+ * @prop {(ts.ClassDeclaration|ts.InterfaceDeclaration|ts.ModuleDeclaration)[]} nodes - the class, interface, and namespace declarations the page documents
+ * @prop {Map<String, DocumentedMember>} members - declarations namespaced under the page's namespace, keyed by group and name
+ */
+
+/**
+ * Work out which group of namespace members a statement in a declaration file belongs to
+ * @param {ts.Statement} node - the statement to work out the group of
+ * @returns {String|undefined} the group the statement belongs to, if it declares anything worth documenting
+ */
+const resolveGroup = (node) => (
+    ts.isClassDeclaration(node) || ts.isInterfaceDeclaration(node) ? "class" :
+    // Global augmentations, like the custom element tag name map, aren't part of the module's own namespaces
+    ts.isModuleDeclaration(node) ? (node.flags & ts.NodeFlags.GlobalAugmentation ? undefined : "namespace") :
+    ts.isFunctionDeclaration(node) ? "function" :
+    ts.isVariableStatement(node) ? "constant" :
+    ts.isTypeAliasDeclaration(node) ? "type" :
+    undefined
+);
+
+/**
+ * Work out which group of class members a class member belongs to
+ * @param {ts.ClassElement} node - the class member to work out the group of
+ * @returns {String|undefined} the group the class member belongs to, if it is worth documenting
+ */
+const resolveClassMemberGroup = (node) => (
+    ts.isConstructorDeclaration(node) ? "constructor" :
+    ts.isMethodDeclaration(node) ? "method" :
+    ts.isPropertyDeclaration(node) || ts.isGetAccessor(node) || ts.isSetAccessor(node) ? "property" :
+    undefined
+);
+
+/**
+ * Get the name of a declaration in a declaration file
+ * @param {ts.Node} node - the declaration to get the name of
+ * @returns {String} the name of the declaration
+ */
+const getName = (node) => (ts.isConstructorDeclaration(node) ? "constructor" : (node.name ?? node.declarationList?.declarations[0]?.name)?.getText() ?? "");
+
+/**
+ * Turn a heading into the anchor markdown renderers give it
+ * @param {String} heading - the heading to get the anchor of
+ * @returns {String} the heading's anchor
+ */
+const slug = (heading) => heading.toLowerCase().replaceAll(/[^\w\- ]/g, "").replaceAll(" ", "-");
+
+/**
+ * Go through the statements of a module or namespace, saving any declarations to the page they should be documented on
+ * @param {ts.NodeArray<ts.Statement>} statements - statements of the module or namespace
+ * @param {DocumentationPage} page - the page documenting the module or namespace
+ * @param {Map<String, DocumentationPage>} pages - every page found so far, keyed by qualified name
+ */
+const collectPages = (statements, page, pages) => {
+    for (let node of statements) {
+        const group = resolveGroup(node);
+        const name = group && getName(node);
+        
+        if (!group) continue;
+        
+        // Classes and namespaces with the same name get merged, so they should share a page too
+        const hasPage = group === "class" || group === "namespace";
+        const key = `${hasPage ? "page" : group}:${name}`;
+        const member = page.members.get(key) ?? page.members.set(key, {name, group, nodes: []}).get(key);
+        
+        if (group === "class") member.group = group;
+        member.nodes.push(node);
+        
+        if (hasPage) {
+            const qualifiedName = [...page.scope, name].join(".");
+            const child = pages.get(qualifiedName) ?? pages.set(qualifiedName, {qualifiedName, fileName: `${qualifiedName}.md`, scope: [...page.scope, name], nodes: [], members: new Map()}).get(qualifiedName);
+            
+            child.nodes.push(node);
+            if (ts.isModuleDeclaration(node) && node.body && ts.isModuleBlock(node.body)) collectPages(node.body.statements, child, pages);
+        }
+    }
+};
+
+/**
+ * Work out where each documented declaration can be linked to
+ * @param {Map<String, DocumentationPage>} pages - every documentation page, keyed by qualified name
+ * @returns {Map<String, String>} links to each documented declaration, keyed by qualified name
+ */
+const collectLinks = (pages) => {
+    const links = new Map();
+    
+    // Classes and namespaces are linked to their own page...
+    for (let {qualifiedName, fileName} of pages.values()) if (qualifiedName) links.set(qualifiedName, fileName);
+    
+    // ...while everything else is linked to its section of the page it's documented on
+    for (let {scope, fileName, nodes, members} of pages.values()) {
+        for (let {name, group} of members.values()) if (!links.has([...scope, name].join(".")) && !["class", "namespace"].includes(group)) {
+            links.set([...scope, name].join("."), `${fileName}#${slug(name)}`);
+        }
+        
+        for (let member of nodes.filter(ts.isClassDeclaration).flatMap(({members}) => members)) if (resolveClassMemberGroup(member) && !links.has([...scope, getName(member)].join("."))) {
+            links.set([...scope, getName(member)].join("."), `${fileName}#${slug(getName(member))}`);
+        }
+    }
+    
+    return links;
+};
+
+/**
+ * Resolve a link to a referenced declaration, the same way TypeScript would resolve the name from within a namespace
+ * @param {Map<String, String>} links - links to each documented declaration, keyed by qualified name
+ * @param {String} name - the referenced name
+ * @param {String[]} scope - names of the namespaces the name is referenced in
+ * @returns {String|undefined} link to the referenced declaration, if it was documented
+ */
+const resolveLink = (links, name, scope) => {
+    for (let index = scope.length; index >= 0; index--) {
+        const qualifiedName = [...scope.slice(0, index), name].join(".");
+        if (links.has(qualifiedName)) return links.get(qualifiedName);
+    }
+};
+
+/**
+ * Print a declaration's signature as it would be used, without any export or declare modifiers, or the bodies of classes and namespaces
+ * @param {ts.Node} node - the declaration to print the signature of
+ * @param {ts.SourceFile} sourceFile - the declaration file the declaration came from
+ * @returns {String} the printed signature of the declaration
+ */
+const printSignature = (node, sourceFile) => {
+    const modifiers = ts.canHaveModifiers(node) ? ts.getModifiers(node)?.filter(({kind}) => kind !== ts.SyntaxKind.ExportKeyword && kind !== ts.SyntaxKind.DeclareKeyword) : undefined;
+    const target = (
+        ts.isClassDeclaration(node) ? ts.factory.updateClassDeclaration(node, modifiers, node.name, node.typeParameters, node.heritageClauses, []) :
+        ts.isInterfaceDeclaration(node) ? ts.factory.updateInterfaceDeclaration(node, modifiers, node.name, node.typeParameters, node.heritageClauses, []) :
+        node
+    );
+    
+    return printer.printNode(ts.EmitHint.Unspecified, target, sourceFile).replace(/^(export )?(declare )?/, "").replace(/\s*\{\s*\}$/, "");
+};
+
+/**
+ * Print a type node as text on a single line
+ * @param {ts.TypeNode} [node] - the type node to print
+ * @param {ts.SourceFile} sourceFile - the declaration file the type node came from
+ * @returns {String|undefined} the printed type
+ */
+const printType = (node, sourceFile) => node ? printer.printNode(ts.EmitHint.Unspecified, node, sourceFile).replaceAll(/\s+/g, " ") : undefined;
+
+/**
+ * Render a type as inline code, linking any referenced declarations that are documented
+ * @param {String} text - the printed type
+ * @param {String[]} scope - names of the namespaces the type is referenced in
+ * @param {Map<String, String>} links - links to each documented declaration, keyed by qualified name
+ * @returns {String} the rendered type
+ */
+const renderType = (text, scope, links) => {
+    const parts = [];
+    let plain = "";
+    
+    // String literals never reference anything, but any other name might
+    for (let [token, name] of text.matchAll(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)|[^"'A-Za-z_$]+|./g)) {
+        const href = name && resolveLink(links, name, scope);
+        
+        if (!href) plain += token;
+        else parts.push(...(plain ? [`\`${plain}\``] : []), `[\`${name}\`](${href})`), plain = "";
+    }
+    
+    return [...parts, ...(plain ? [`\`${plain}\``] : [])].join("");
+};
+
+/**
+ * Render the text of a JSDoc comment as markdown, turning any inline link tags into markdown links
+ * @param {String|ts.NodeArray<ts.JSDocComment>} [comment] - the JSDoc comment to render
+ * @param {String[]} scope - names of the namespaces the comment belongs to
+ * @param {Map<String, String>} links - links to each documented declaration, keyed by qualified name
+ * @returns {String} the rendered comment
+ */
+const renderComment = (comment, scope, links) => (typeof comment === "string" || !comment ? comment ?? "" : comment.map((node) => {
+    if (!ts.isJSDocLink(node) && !ts.isJSDocLinkCode(node) && !ts.isJSDocLinkPlain(node)) return node.text;
+    
+    const name = node.name?.getText() ?? "";
+    
+    // TypeScript splits URLs into a name and the rest of the URL
+    if (node.text.startsWith("://")) {
+        const [url, ...label] = `${name}${node.text}`.split(/\s+/);
+        return `[${label.join(" ") || url}](${url})`;
+    }
+    
+    const href = resolveLink(links, name, scope);
+    const label = node.text.replace(/^\s*\|?\s*/, "").trim() || name;
+    const text = ts.isJSDocLinkCode(node) ? `\`${label}\`` : label;
+    
+    return href ? `[${text}](${href})` : text;
+}).join("")).trim();
+
+/**
+ * Escape text so it can be used in a markdown table cell
+ * @param {String} text - the text to escape
+ * @returns {String} the escaped text
+ */
+const renderCell = (text) => text.replaceAll("|", "\\|").replaceAll(/\r?\n/g, "<br>");
+
+/**
+ * Resolve the declared type of a parameter, or a property of a parameter, from a function-like declaration
+ * @param {ts.NodeArray<ts.ParameterDeclaration>} [parameters] - parameters of the function-like declaration
+ * @param {String} name - dot-separated name of the parameter, or the parameter's property
+ * @returns {{type?: ts.TypeNode, optional: Boolean}} the declared type of the parameter, and whether it is optional
+ */
+const resolveParameterType = (parameters, name) => {
+    const [first, ...rest] = name.split(".");
+    const parameter = parameters?.find((parameter) => parameter.name.getText() === first);
+    let {type, questionToken} = parameter ?? {};
+    
+    // Properties of parameters are only declared when the parameter's type is an inline type literal
+    for (let part of rest) ({type, questionToken} = (type && ts.isTypeLiteralNode(type) ? type.members.find((member) => member.name?.getText() === part) : undefined) ?? {});
+    
+    return {type, optional: !!questionToken || !!parameter?.initializer};
+};
+
+/**
+ * Render the documentation comment of a declaration, including parameter and return value details, and any other tags
+ * @param {ts.Node} node - the declaration to render documentation for
+ * @param {String[]} scope - names of the namespaces the declaration belongs to
+ * @param {Map<String, String>} links - links to each documented declaration, keyed by qualified name
+ * @returns {String[]} lines of markdown documenting the declaration
+ */
+const renderDocumentation = (node, scope, links) => {
+    const doc = node.jsDoc?.at(-1);
+    const tags = doc?.tags ?? [];
+    const signature = ts.isFunctionLike(node) ? node : (ts.isTypeAliasDeclaration(node) && ts.isFunctionTypeNode(node.type) ? node.type : undefined);
+    const sourceFile = node.getSourceFile();
+    const lines = [];
+    
+    for (let tag of tags.filter(({tagName}) => tagName.text === "deprecated")) lines.push(`> **Deprecated**${tag.comment ? `: ${renderComment(tag.comment, scope, links)}` : ""}`, "");
+    if (doc?.comment) lines.push(renderComment(doc.comment, scope, links), "");
+    
+    // Parameters get a table of their types and descriptions...
+    const params = tags.filter(ts.isJSDocParameterTag);
+    if (params.length) lines.push("| Parameter | Type | Description |", "| --- | --- | --- |", ...params.map(({name, comment}) => {
+        const {type, optional} = resolveParameterType(signature?.parameters, name.getText());
+        
+        return `| \`${name.getText()}${optional ? "?" : ""}\` | ${type ? renderCell(renderType(printType(type, sourceFile), scope, links)) : ""} | ${renderCell(renderComment(comment, scope, links))} |`;
+    }), "");
+    
+    // ...while return values and other tags get a line each
+    const returns = tags.filter(ts.isJSDocReturnTag).map(({comment}) => renderComment(comment, scope, links)).join(" ");
+    if (returns) lines.push(`**Returns:** ${signature?.type ? `${renderType(printType(signature.type, sourceFile), scope, links)} - ` : ""}${returns}`, "");
+    
+    for (let tag of tags) switch (tag.tagName.text) {
+        case "since":
+            lines.push(`**Since:** ${renderComment(tag.comment, scope, links)}`, "");
+            break;
+        case "defaultValue":
+            lines.push(`**Default value:** ${renderComment(tag.comment, scope, links)}`, "");
+            break;
+        case "see": {
+            const reference = ts.isJSDocSeeTag(tag) && tag.name ? tag.name.name.getText() : undefined;
+            const href = reference && resolveLink(links, reference, scope);
+            
+            lines.push(`**See:** ${[href ? `[${reference}](${href})` : reference, renderComment(tag.comment, scope, links)].filter((s) => !!s).join(" ")}`, "");
+            break;
+        }
+        case "example": {
+            const text = ts.getTextOfJSDocComment(tag.comment)?.trim() ?? "";
+            
+            // Examples are usually code, so show them as code unless they bring their own fences
+            lines.push("**Example:**", "", text.includes("```") ? text : `\`\`\`js\n${text}\n\`\`\``, "");
+            break;
+        }
+    }
+    
+    return lines;
+};
+
+/**
+ * Get the first paragraph of a declaration's documentation comment, for use in summary tables
+ * @param {ts.Node} [node] - the declaration to summarise
+ * @param {String[]} scope - names of the namespaces the declaration belongs to
+ * @param {Map<String, String>} links - links to each documented declaration, keyed by qualified name
+ * @returns {String} the summary of the declaration
+ */
+const renderSummary = (node, scope, links) => renderComment(node?.jsDoc?.at(-1)?.comment, scope, links).split(/\r?\n\s*\r?\n/)[0].replaceAll(/\s*\r?\n\s*/g, " ");
+
+/**
+ * Render a section documenting a declaration, with the signatures of every node declaring it, and each of their documentation comments
+ * @param {String} name - name of the declaration, used as the section's heading
+ * @param {ts.Node[]} nodes - every node declaring the declaration
+ * @param {String[]} scope - names of the namespaces the declaration belongs to
+ * @param {Map<String, String>} links - links to each documented declaration, keyed by qualified name
+ * @returns {String[]} lines of markdown documenting the declaration
+ */
+const renderSection = (name, nodes, scope, links) => {
+    const sourceFile = nodes[0].getSourceFile();
+    // Overloads and accessors often share a comment, so don't repeat it for each of them
+    const docs = [...new Set(nodes.map((node) => renderDocumentation(node, scope, links).join("\n")).filter((doc) => !!doc))];
+    // Type aliases for object types get a table of their properties
+    const properties = nodes.filter((node) => ts.isTypeAliasDeclaration(node) && ts.isTypeLiteralNode(node.type)).flatMap(({type: {members}}) => members).filter(ts.isPropertySignature);
+    
+    return [
+        `### ${name}`, "",
+        "```ts", ...nodes.map((node) => printSignature(node, sourceFile)), "```", "",
+        ...docs,
+        ...(properties.length ? ["| Property | Type | Description |", "| --- | --- | --- |", ...properties.map((property) => (
+            `| \`${property.name.getText()}${property.questionToken ? "?" : ""}\` | ${property.type ? renderCell(renderType(printType(property.type, sourceFile), scope, links)) : ""} | ${renderCell(renderComment(property.jsDoc?.at(-1)?.comment, scope, links))} |`
+        )), ""] : [])
+    ];
+};
+
+/**
+ * Render a documentation page for the module, or one of its namespaces or classes
+ * @param {DocumentationPage} page - the page to render
+ * @param {Map<String, String>} links - links to each documented declaration, keyed by qualified name
+ * @param {String} moduleName - name of the module being documented
+ * @returns {String[]} lines of markdown making up the page
+ */
+const renderPage = ({qualifiedName, scope, nodes, members}, links, moduleName) => {
+    const classes = nodes.filter((node) => ts.isClassDeclaration(node) || ts.isInterfaceDeclaration(node));
+    const classMembers = new Map();
+    const lines = [];
+    
+    // The module page is the index, so every other page links back through the namespaces it's in
+    if (qualifiedName) lines.push(
+        `# ${classes.length ? "Class" : "Namespace"}: ${qualifiedName}`, "",
+        [`[${moduleName}](index.md)`, ...scope.slice(0, -1).map((name, index) => `[${name}](${scope.slice(0, index + 1).join(".")}.md)`), scope.at(-1)].join(" › "), ""
+    );
+    
+    // Classes are introduced by their signature, what they inherit, and their own documentation
+    if (classes.length) {
+        const sourceFile = classes[0].getSourceFile();
+        
+        lines.push("```ts", ...classes.map((node) => printSignature(node, sourceFile)), "```", "");
+        
+        for (let {token, types} of classes.flatMap(({heritageClauses}) => heritageClauses ?? [])) {
+            lines.push(`**${token === ts.SyntaxKind.ExtendsKeyword ? "Extends" : "Implements"}:** ${types.map((type) => renderType(printType(type, sourceFile), scope.slice(0, -1), links)).join(", ")}`, "");
+        }
+        
+        lines.push(...[...new Set(classes.map((node) => renderDocumentation(node, scope.slice(0, -1), links).join("\n")).filter((doc) => !!doc))], ...(classes.some(({jsDoc}) => jsDoc?.length) ? [""] : []));
+        
+        for (let member of classes.filter(ts.isClassDeclaration).flatMap(({members}) => members)) {
+            const group = resolveClassMemberGroup(member);
+            const key = `${group}:${getName(member)}`;
+            
+            if (group) (classMembers.get(key) ?? classMembers.set(key, {name: getName(member), group, nodes: []}).get(key)).nodes.push(member);
+        }
+        
+        for (let [group, heading] of classMemberGroups) {
+            const entries = [...classMembers.values()].filter((member) => member.group === group);
+            if (entries.length) lines.push(`## ${heading}`, "", ...entries.flatMap(({name, nodes}) => renderSection(name, nodes, scope, links)));
+        }
+    }
+    
+    // Namespaces list their classes and namespaces, and document everything else in place
+    for (let [group, heading] of memberGroups) {
+        const entries = [...members.values()].filter((member) => member.group === group);
+        
+        if (!entries.length) continue;
+        else if (group !== "class" && group !== "namespace") lines.push(`## ${heading}`, "", ...entries.flatMap(({name, nodes}) => renderSection(name, nodes, scope, links)));
+        else lines.push(`## ${heading}`, "", "| Name | Description |", "| --- | --- |", ...entries.map(({name, nodes}) => (
+            `| [${name}](${[...scope, name].join(".")}.md) | ${renderCell(renderSummary(nodes.find((node) => node.jsDoc?.length), scope, links))} |`
+        )), "");
+    }
+    
+    return lines;
+};
+
+/**
+ * Generate markdown reference documentation from a generated ambient declaration file, with one page for each namespace and class, and an index
+ * @param {String} text - contents of the generated declaration file, declaring all modules as ambient modules
+ * @param {String} moduleName - name of the module primarily being declared for the library
+ * @returns {Map<String, String>} contents of each documentation page, keyed by file name
+ */
+export const generateDocumentation = (text, moduleName) => {
+    const sourceFile = ts.createSourceFile(`${moduleName}.d.ts`, text, ts.ScriptTarget.Latest, true, ts.ScriptKind.TS);
+    const modules = sourceFile.statements.filter((node) => ts.isModuleDeclaration(node) && ts.isStringLiteral(node.name) && node.body && ts.isModuleBlock(node.body));
+    const index = {qualifiedName: "", fileName: "index.md", scope: [], nodes: [], members: new Map()};
+    const pages = new Map([["", index]]);
+    
+    // Everything is declared in the primary module, other modules only export what's declared there
+    for (let {name, body} of modules) if (name.text === moduleName) collectPages(body.statements, index, pages);
+    
+    const links = collectLinks(pages);
+    const exported = (node) => node.body.statements.filter(ts.isExportAssignment).map(({expression}) => expression.getText());
+    
+    return new Map([...pages.values()].map((page) => {
+        const lines = renderPage(page, links, moduleName);
+        
+        // The index also introduces the module, and lists every other module and page
+        if (page === index) {
+            lines.unshift(`# ${moduleName}`, "", ...modules.filter(({name}) => name.text === moduleName).flatMap(exported).map((name) => `The default export of \`${moduleName}\` is ${renderType(name, [], links)}.\n`));
+            
+            if (modules.length > 1) lines.push("## Modules", "", "| Module | Default Export |", "| --- | --- |", ...modules.filter(({name}) => name.text !== moduleName).map((node) => (
+                `| \`${node.name.text}\` | ${exported(node).map((name) => renderType(name, [], links)).join(", ")} |`
+            )), "");
+            
+            lines.push("## Index", "", ...[...pages.values()].filter(({qualifiedName}) => !!qualifiedName)
+                .sort((a, b) => (a.qualifiedName < b.qualifiedName ? -1 : (a.qualifiedName > b.qualifiedName ? 1 : 0)))
+                .map(({fileName, scope, nodes}) => `${"  ".repeat(scope.length - 1)}- [${scope.at(-1)}](${fileName}) (${nodes.some((node) => !ts.isModuleDeclaration(node)) ? "class" : "namespace"})`));
+        }
+        
+        return [page.fileName, `${lines.join("\n").replaceAll(/\n{3,}/g, "\n\n").trim()}\n`];
+    }));
+};
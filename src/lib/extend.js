@@ -0,0 +1,100 @@
+import ts from "typescript";
+import {getTagNameComparisonMethod, isJSDocTypeAnnotationTag} from "./filter.js";
+
+/**
+ * Which tag handlers should be applied to declarations generated with each TypeScript program's type checker
+ * @type {WeakMap<ts.TypeChecker, TagHandler[]>}
+ */
+const registries = new WeakMap();
+
+/**
+ * What kind of declaration a tag handler is being applied to
+ * @typedef {"class"|"member"|"typedef"|"value"} TagHandlerKind
+ */
+
+/**
+ * Details of a declaration, and its generated declarations, passed to a tag handler
+ * @typedef {Object} TagHandlerContext
+ * @prop {TagHandlerKind} kind - whether the declaration is a class, a class member, a type definition, or a namespaced function or constant
+ * @prop {String} name - name of the declaration, as it will be declared
+ * @prop {ts.Node} node - the source node the declaration was generated from
+ * @prop {ts.JSDocTag[]} tags - the declaration's JSDoc tags that the handler handles
+ * @prop {ts.Node[]} declarations - the generated declarations, and any documentation comments preceding them
+ * @prop {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @prop {(tagName: String, comment?: String) => ts.Node[]} annotate - get the generated declarations with an extra tag added to their documentation comments
+ */
+
+/**
+ * @callback TagHandlerCallback
+ * Add, replace, or drop the declarations generated for a declaration with any of the handled tags
+ * @param {TagHandlerContext} context - details of the declaration, and its generated declarations
+ * @returns {ts.Node[]|void} declarations to use instead of the generated declarations, or nothing to keep them as they are
+ */
+
+/**
+ * A user-supplied handler for custom JSDoc tags
+ * @typedef {Object} TagHandler
+ * @prop {String[]} [tags] - names of the JSDoc tags the handler handles, without the "@", or every declaration if not specified
+ * @prop {TagHandlerCallback} handle - method called for each declaration with any of the handled tags
+ */
+
+/**
+ * Start applying tag handlers to declarations generated with a TypeScript program's type checker
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {TagHandler[]} [handlers=[]] - the tag handlers to apply, in order
+ * @returns {TagHandler[]} the registered tag handlers
+ */
+export const registerTagHandlers = (checker, handlers = []) => (registries.set(checker, handlers), handlers);
+
+/**
+ * Resolve the JSDoc tags that belong to a type definition, since one comment may contain more than one of them
+ * @param {ts.JSDocTag} node - the typedef, callback, or enum tag of the type definition
+ * @returns {ts.JSDocTag[]} tags of the comment that aren't part of any other type definition
+ */
+export const resolveTypeDefTags = (node) => {
+    const tags = ts.isJSDoc(node.parent) ? node.parent.tags ?? [] : [];
+    const start = tags.indexOf(node);
+    const end = tags.findIndex((tag, index) => index > start && isJSDocTypeAnnotationTag(tag));
+    
+    // Tags before the first type definition describe the whole comment, the rest describe the type definition before them
+    return [...tags.slice(0, tags.findIndex(isJSDocTypeAnnotationTag)), ...tags.slice(start + 1, end < 0 ? undefined : end)];
+};
+
+/**
+ * Add a tag to the documentation comments of generated declarations, documenting any undocumented declarations
+ * @param {ts.Node[]} declarations - the generated declarations, and any documentation comments preceding them
+ * @param {String} tagName - name of the tag to add, without the "@"
+ * @param {String} [comment] - comment of the tag to add
+ * @returns {ts.Node[]} the generated declarations, with the tag added to their documentation comments
+ */
+const annotateDeclarations = (declarations, tagName, comment) => {
+    const tag = ts.factory.createJSDocUnknownTag(ts.factory.createIdentifier(tagName), comment?.replaceAll("\n", "\n * "));
+    
+    return declarations.flatMap((node, index) => (
+        ts.isJSDoc(node) ? [ts.factory.updateJSDocComment(node, node.comment, [...(node.tags ?? []), tag])] :
+        // Interfaces merged with the class that follows them are documented by the class's comment
+        (index && ts.isJSDoc(declarations[index - 1])) || (ts.isInterfaceDeclaration(node) && index < declarations.length - 1) ? [node] :
+        [ts.factory.createJSDocComment(undefined, [tag]), node]
+    ));
+};
+
+/**
+ * Apply any registered tag handlers to the declarations generated for a class, member, type definition, or value
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {Object} declaration - details of the declaration the declarations were generated for
+ * @param {TagHandlerKind} declaration.kind - what kind of declaration was generated
+ * @param {String} declaration.name - name of the declaration, as it will be declared
+ * @param {ts.Node} declaration.node - the source node the declaration was generated from
+ * @param {ts.JSDocTag[]} [declaration.tags] - the declaration's JSDoc tags, if they can't be found on the source node
+ * @param {ts.Node[]} declarations - the generated declarations, and any documentation comments preceding them
+ * @returns {ts.Node[]} the declarations, as added to, replaced, or dropped by the tag handlers
+ */
+export const applyTagHandlers = (checker, {kind, name, node, tags = ts.getJSDocTags(node)}, declarations) => (registries.get(checker) ?? []).reduce((declarations, {tags: names, handle}) => {
+    const handled = names?.length ? tags.filter(getTagNameComparisonMethod(...names.map((name) => name.toLowerCase()))) : [...tags];
+    
+    // Handlers only see declarations with at least one of the tags they handle
+    return names?.length && !handled.length ? declarations : (handle({
+        kind, name, node, tags: handled, declarations, checker,
+        annotate: (tagName, comment) => annotateDeclarations(declarations, tagName, comment)
+    }) ?? declarations);
+}, declarations);
@@ -12,15 +12,22 @@ import ts from "typescript";
  * @param {String[]} names - expected JSDoc tag names
  * @returns {JSDocTagTest} whether the tag name matches the expected name
  */
-const getTagNameComparisonMethod = (...names) => ({tagName: {escapedText} = {}}) => (names.includes(escapedText.toLowerCase()));
+export const getTagNameComparisonMethod = (...names) => ({tagName: {escapedText} = {}}) => (names.includes(escapedText.toLowerCase()));
 
 export const /** @type {Function} */ isJSDocAbstractTag = getTagNameComparisonMethod("abstract");
+export const /** @type {Function} */ isJSDocAttributeTag = getTagNameComparisonMethod("attr", "attribute");
+export const /** @type {Function} */ isJSDocElementTag = getTagNameComparisonMethod("element", "customelement");
+export const /** @type {Function} */ isJSDocEventTag = getTagNameComparisonMethod("event");
 export const /** @type {Function} */ isJSDocExtendsTag = getTagNameComparisonMethod("extends");
+export const /** @type {Function} */ isJSDocFiresTag = getTagNameComparisonMethod("fires", "emits");
+export const /** @type {Function} */ isJSDocHideConstructorTag = getTagNameComparisonMethod("hideconstructor");
 export const /** @type {Function} */ isJSDocInheritDocTag = getTagNameComparisonMethod("inheritdoc");
 export const /** @type {Function} */ isJSDocInternalTag = getTagNameComparisonMethod("internal");
+export const /** @type {Function} */ isJSDocMixesTag = getTagNameComparisonMethod("mixes");
+export const /** @type {Function} */ isJSDocMixinTag = getTagNameComparisonMethod("mixin");
 export const /** @type {Function} */ isJSDocPropertyTag = getTagNameComparisonMethod("prop", "property");
 export const /** @type {Function} */ isJSDocThrowsTag = getTagNameComparisonMethod("throws");
-export const /** @type {Function} */ isJSDocTypeAnnotationTag = getTagNameComparisonMethod("callback", "enum", "overload", "typedef");
+export const /** @type {Function} */ isJSDocTypeAnnotationTag = getTagNameComparisonMethod("callback", "enum", "event", "overload", "typedef");
 export const /** @type {Function} */ isJSDocTypeParamTag = getTagNameComparisonMethod("typeparam");
 
 /**
@@ -34,6 +41,83 @@ export const isConstructableType = (checker, node) => {
     return (!!type.intrinsicName || checker.getTypeOfSymbolAtLocation(type.getSymbol(), type.getSymbol().valueDeclaration).isClassOrInterface());
 };
 
+/**
+ * Check whether a class extends EventTarget, either directly or through any other class declared in the program
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.ClassDeclaration} node - the class to check
+ * @returns {Boolean} whether the class is an EventTarget subclass
+ */
+export const isEventTargetClass = (checker, node) => {
+    const [base] = node.heritageClauses?.find(isExtendsClause)?.types ?? [];
+    const symbol = base && checker.getSymbolAtLocation(base.expression);
+    const declaration = (symbol && symbol.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(symbol) : symbol)?.declarations?.find(ts.isClassDeclaration);
+    
+    return !!base && ((ts.isIdentifier(base.expression) && base.expression.escapedText === "EventTarget") || (!!declaration && isEventTargetClass(checker, declaration)));
+};
+
+/**
+ * Check whether an expression refers to a mixin factory, i.e. a function tagged as a mixin that returns a class extending the class passed to it
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.Expression} node - the expression being tested, usually what is being called in a class's extends clause
+ * @returns {Boolean} whether the expression refers to a function or constant with a mixin tag
+ */
+export const isMixinFactory = (checker, node) => {
+    const symbol = checker.getSymbolAtLocation(node);
+    const {declarations = []} = (symbol && symbol.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(symbol) : symbol) ?? {};
+    
+    return declarations.some((declaration) => ts.getAllJSDocTags(declaration, isJSDocMixinTag).length > 0);
+};
+
+/**
+ * Check whether an expression refers to the object a CommonJS module exports, i.e. "exports" or "module.exports"
+ * @param {ts.Expression} node - the expression being tested
+ * @returns {Boolean} whether the expression is the CommonJS exports object
+ */
+export const isCommonJSExportsObject = (node) => ((ts.isIdentifier(node) && node.escapedText === "exports") || isCommonJSModuleExports(node));
+
+/**
+ * Check whether an expression is "module.exports", which a CommonJS module can assign its whole export to
+ * @param {ts.Expression} node - the expression being tested
+ * @returns {Boolean} whether the expression is "module.exports"
+ */
+export const isCommonJSModuleExports = (node) => (ts.isPropertyAccessExpression(node) && ts.isIdentifier(node.expression)
+    && node.expression.escapedText === "module" && node.name.escapedText === "exports");
+
+/**
+ * Check whether a node is a call to "require" with a literal module name
+ * @param {ts.Node} [node] - the node being tested
+ * @returns {Boolean} whether the node requires a module by name
+ */
+export const isRequireCall = (node) => (!!node && ts.isCallExpression(node) && ts.isIdentifier(node.expression) && node.expression.escapedText === "require"
+    && node.arguments.length === 1 && ts.isStringLiteralLike(node.arguments[0]));
+
+/**
+ * Check whether a node is a call that defines a custom element in the custom element registry, e.g. "customElements.define('x-foo', XFoo)"
+ * @param {ts.Node} node - the node being tested
+ * @returns {Boolean} whether the node defines a custom element with a literal tag name
+ */
+export const isCustomElementDefinition = (node) => (ts.isCallExpression(node) && ts.isPropertyAccessExpression(node.expression) && node.expression.name.escapedText === "define"
+    && ((registry) => (ts.isIdentifier(registry) ? registry : ts.isPropertyAccessExpression(registry) && registry.name).escapedText === "customElements")(node.expression.expression)
+    && node.arguments.length >= 2 && ts.isStringLiteralLike(node.arguments[0]));
+
+/**
+ * Check whether a given type node is explicitly meant to be treated as an "any" type
+ * @param {ts.TypeNode} node - the type node being tested
+ * @returns {Boolean} whether the type node is an explicit "any", "unknown", or "Object" type
+ */
+export const isExplicitAnyType = (node) => ([ts.SyntaxKind.AnyKeyword, ts.SyntaxKind.UnknownKeyword, ts.SyntaxKind.JSDocAllType, ts.SyntaxKind.JSDocUnknownType].includes(node.kind)
+    || (ts.isTypeReferenceNode(node) && ts.isIdentifier(node.typeName) && ["Object", "object"].includes(node.typeName.escapedText)));
+
+/**
+ * Check whether a given function-like node returns a value from its body
+ * @param {ts.FunctionLikeDeclaration} node - the function-like node to check for return statements
+ * @returns {Boolean} whether the function-like node has any return statements with values, or an expression body
+ */
+export const isValueReturningFunction = (node) => (!!node?.body && (!ts.isBlock(node.body) || !!ts.forEachChild(node.body, function visitor(node) {
+    // Don't look inside nested functions, since their return statements belong to them
+    return ts.isReturnStatement(node) ? !!node.expression : (!ts.isFunctionLike(node) && !ts.isClassLike(node) && ts.forEachChild(node, visitor));
+})));
+
 /**
  * Check whether a given node represents an optional type
  * @param {ts.JSDocTag} node - the node being tested
@@ -56,11 +140,27 @@ export const isStaticModifier = ({kind}) => (kind === ts.SyntaxKind.StaticKeywor
 export const isExtendsClause = ({token}) => (token === ts.SyntaxKind.ExtendsKeyword);
 
 /**
- * Check whether a given get accessor has a corresponding set accessor
+ * Check whether a given get accessor has a corresponding set accessor, or was explicitly marked as read-only
  * @param {ts.Node} node - the node to find a matching set accessor for
  * @returns {Boolean} whether the node can be described as read-only
  */
-export const isReadOnlyAccessor = (node) => !node?.parent?.members?.some((m) => ts.isSetAccessor(m) && m.name?.escapedText === node.name.escapedText);
+export const isReadOnlyAccessor = (node) => !!ts.getJSDocReadonlyTag(node) || !node?.parent?.members?.some((m) => ts.isSetAccessor(m) && m.name?.escapedText === node.name.escapedText);
+
+/**
+ * Check whether a given set accessor belongs to a get accessor that was explicitly marked as read-only
+ * @param {ts.Node} node - the node to find a matching read-only get accessor for
+ * @returns {Boolean} whether the node is a set accessor that should not be declared
+ */
+const isHiddenSetAccessor = (node) => ts.isSetAccessor(node)
+    && !!node.parent?.members?.some((m) => ts.isGetAccessor(m) && m.name?.escapedText === node.name?.escapedText && !!ts.getJSDocReadonlyTag(m));
+
+/**
+ * Check whether a given class, or its constructor, was marked as having a constructor hidden from library consumers
+ * @param {ts.ClassDeclaration|ts.ConstructorDeclaration} node - the class or constructor to check
+ * @returns {Boolean} whether the class constructor should be declared as protected, or private
+ */
+export const isHiddenConstructor = (node) => (ts.isConstructorDeclaration(node) ? [node, node.parent] : [node, ...node.members.filter(ts.isConstructorDeclaration)])
+    .some((node) => !!ts.getAllJSDocTags(node, isJSDocHideConstructorTag).length);
 
 /**
  * Check whether a given node is a return statement for a literal expression
@@ -80,5 +180,5 @@ export const filterMembers = (type, members) => members.filter((m) => (
     (!m.name || (!ts.isPrivateIdentifier(m.name) && (type === "namespace"
         ? (m.name.escapedText !== m.initializer?.escapedText || !!ts.getJSDocTypeTag(m))
         : (!m.modifiers?.some(({kind}) => kind === ts.SyntaxKind.PrivateKeyword)))))
-    && !ts.getAllJSDocTags(m, (t) => isJSDocInternalTag(t) || isJSDocInheritDocTag(t)).length)
+    && !ts.getAllJSDocTags(m, (t) => isJSDocInternalTag(t) || isJSDocInheritDocTag(t)).length && !isHiddenSetAccessor(m))
 );
\ No newline at end of file
@@ -1,7 +1,11 @@
 import ts from "typescript";
-import {findNamespaces, getNamespaceNameForTag, resolveActualType, resolveNodeLocals, resolveVirtualTags, resolveUnderstructuredTags, resolveQualifiedName} from "./parse.js";
-import {filterMembers, isJSDocAbstractTag, isJSDocExtendsTag, isJSDocPropertyTag, isJSDocThrowsTag, isConstructableType, isOptionalType, isReadOnlyAccessor, isLiteralReturnType, isStaticModifier, isExtendsClause} from "./filter";
-import {annotateFunction, annotateMethod, annotateProp} from "./annotate.js";
+import {posix} from "path";
+import {findNamespaces, getNamespaceNameForTag, resolveActualType, resolveAssignedMembers, resolveClassEvents, resolveElementAttributes, resolveEnumMembers, isExportedEnum, resolveMixinApplication, resolveMixinClass, resolveNodeLocals, resolveObjectLiteral, resolveVirtualTags, resolveUnderstructuredTags, resolveQualifiedName} from "./parse.js";
+import {filterMembers, isHiddenConstructor, isJSDocAbstractTag, isJSDocExtendsTag, isJSDocMixesTag, isJSDocMixinTag, isJSDocPropertyTag, isJSDocThrowsTag, isConstructableType, isEventTargetClass, isOptionalType, isReadOnlyAccessor, isLiteralReturnType, isStaticModifier, isExtendsClause, isValueReturningFunction} from "./filter";
+import {annotateClass, annotateFunction, annotateMethod, annotateProp} from "./annotate.js";
+import {applyTagHandlers, resolveTypeDefTags} from "./extend.js";
+import {reportDiagnostic} from "./report.js";
+import {traceNode} from "./trace.js";
 
 /**
  * Generate type parameter declarations from node locals
@@ -65,7 +69,7 @@ const generateTypeNode = (checker, node, flags) => node?.typeExpression && ts.is
 const generateParameterDeclarations = (checker, params) => params.map((node) => ([
     // Focus on the specified parameter tag, or handle understructured parameter tag annotations
     node, ts.isJSDocParameterTag(node) ? [node] : resolveUnderstructuredTags(ts.getAllJSDocTags(node.parent, ts.isJSDocParameterTag).filter((tag) => resolveQualifiedName(tag.name).startsWith(resolveQualifiedName(node.name))))
-])).flatMap(([node, tags]) => ts.factory.createParameterDeclaration(
+])).flatMap(([node, tags]) => traceNode(ts.factory.createParameterDeclaration(
     node.modifiers, node.dotDotDotToken, node.name,
     tags.some(isOptionalType) ? ts.factory.createToken(ts.SyntaxKind.QuestionToken) : node.questionToken,
     generateArrayTypeWrapper(
@@ -78,7 +82,26 @@ const generateParameterDeclarations = (checker, params) => params.map((node) =>
         ),
         !!node.dotDotDotToken
     )
-));
+), tags[0] ?? node));
+
+/**
+ * Generate modifiers for a class member, including any accessibility or read-only modifiers specified by JSDoc tags
+ * @param {ts.ClassElement} node - the class member to generate modifiers for
+ * @param {Boolean} [isReadOnly=false] - whether the member is being declared as a read-only property
+ * @returns {ts.ModifierLike[]} modifiers for the class member declaration, in the order TypeScript expects
+ */
+const generateMemberModifiers = (node, isReadOnly = false) => {
+    const modifiers = (node.modifiers ?? []).filter(({kind}) => ![ts.SyntaxKind.AsyncKeyword, ts.SyntaxKind.ReadonlyKeyword].includes(kind));
+    const accessibility = ts.getJSDocProtectedTag(node) ? ts.SyntaxKind.ProtectedKeyword : (ts.getJSDocPublicTag(node) ? ts.SyntaxKind.PublicKeyword : undefined);
+    
+    return [
+        // Accessibility modifiers come first...
+        ...(accessibility ? [ts.factory.createToken(accessibility)] : []),
+        ...modifiers,
+        // ...and read-only modifiers come last
+        ...(isReadOnly ? [ts.factory.createToken(ts.SyntaxKind.ReadonlyKeyword)] : [])
+    ];
+};
 
 /**
  * Generate annotation and declaration for a given property definition
@@ -87,14 +110,23 @@ const generateParameterDeclarations = (checker, params) => params.map((node) =>
  * @returns {(ts.JSDoc|ts.PropertyDeclaration)[]} property annotation and declaration
  */
 const generatePropertyDeclaration = (checker, node) => ([
-    ...annotateProp(ts.isJSDocPropertyTag(node) ? node : node.jsDoc?.slice(-1)?.pop()),
-    ts.factory.createPropertyDeclaration(
-        node.modifiers, ts.isQualifiedName(node.name) ? node.name.right : node.name,
+    ...annotateProp(checker, ts.isJSDocPropertyTag(node) ? node : node.jsDoc?.slice(-1)?.pop()),
+    traceNode(ts.factory.createPropertyDeclaration(
+        ts.isJSDocPropertyTag(node) ? undefined : generateMemberModifiers(node, !!ts.getJSDocReadonlyTag(node)), ts.isQualifiedName(node.name) ? node.name.right : node.name,
         isOptionalType(node) ? ts.factory.createToken(ts.SyntaxKind.QuestionToken) : node.questionToken,
         generateTypeNode(checker, node)
-    )
+    ), node)
 ]);
 
+/**
+ * Generate a constructor declaration for a class whose constructor should be hidden from library consumers
+ * @param {ts.ConstructorDeclaration} [node] - the hidden constructor, if the class has one
+ * @returns {ts.ConstructorDeclaration} a protected constructor declaration, so the class can still be extended, or a private one if the constructor was marked private
+ */
+const generateHiddenConstructorDeclaration = (node) => ts.factory.createConstructorDeclaration([
+    ts.factory.createToken(node && ts.getJSDocPrivateTag(node) ? ts.SyntaxKind.PrivateKeyword : ts.SyntaxKind.ProtectedKeyword)
+], [], undefined);
+
 /**
  * Generate annotation and declaration for a given constructor definition, including any JSDoc property tags
  * @param {ts.TypeChecker} checker - the TypeScript program's type checker
@@ -105,14 +137,58 @@ const generateConstructorDeclaration = (checker, node) => ([
     // Declare properties that were described by @parameter tags on a constructor's annotation
     ...(resolveVirtualTags("prop", ts.getAllJSDocTags(node, isJSDocPropertyTag)).shift()?.typeExpression?.jsDocPropertyTags ?? [])
         .flatMap((node) => generatePropertyDeclaration(checker, node)),
-    // Handle @overload annotations on the constructor
-    ...ts.getAllJSDocTags(node, ts.isJSDocOverloadTag).flatMap((tag) => ([
-        ...annotateFunction(tag), ts.factory.createConstructorDeclaration(undefined, generateParameterDeclarations(checker, tag.typeExpression.parameters))
-    ])),
-    // Annotate and declare the constructor
-    ...annotateMethod(node), ts.factory.createConstructorDeclaration(node.modifiers, generateParameterDeclarations(checker, node.parameters))
+    // Hidden constructors are declared as protected or private, without any parameters or overloads that would describe how to call them...
+    ...(isHiddenConstructor(node) ? [traceNode(generateHiddenConstructorDeclaration(node), node)] : [
+        // ...otherwise, handle @overload annotations on the constructor
+        ...ts.getAllJSDocTags(node, ts.isJSDocOverloadTag).flatMap((tag) => ([
+            ...annotateFunction(checker, tag), traceNode(ts.factory.createConstructorDeclaration(undefined, generateParameterDeclarations(checker, tag.typeExpression.parameters)), tag)
+        ])),
+        // Annotate and declare the constructor
+        ...annotateMethod(checker, node), traceNode(ts.factory.createConstructorDeclaration(generateMemberModifiers(node), generateParameterDeclarations(checker, node.parameters)), node)
+    ])
 ]);
 
+/**
+ * Generate annotated call signature declarations for a function-like node, including any JSDoc overloads
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.SignatureDeclaration} node - function-like node whose call signatures should be declared
+ * @param {ts.TypeParameterDeclaration[]} [templates] - type parameters of the function-like node, when there are no overloads
+ * @param {(typeParameters: ts.TypeParameterDeclaration[], parameters: ts.ParameterDeclaration[], type: ts.TypeNode) => ts.SignatureDeclaration} createSignature - method of creating each call signature declaration
+ * @returns {(ts.JSDoc|ts.SignatureDeclaration)[]} annotated overload and implementation call signature declarations
+ */
+const generateSignatureDeclarations = (checker, node, templates, createSignature) => {
+    const overloads = ts.getAllJSDocTags(node, ts.isJSDocOverloadTag);
+    const isAsync = !!node.modifiers?.some(({kind}) => kind === ts.SyntaxKind.AsyncKeyword);
+    
+    // Mention when a function returns a value that has not been annotated, since it will be declared as "void"
+    if (!ts.getJSDocReturnTag(node) && !ts.getAllJSDocTags(node, isJSDocThrowsTag).length && isValueReturningFunction(node))
+        reportDiagnostic(checker, node, isAsync ? "Promise<void>" : "void", "No return type annotation for function that returns a value");
+    
+    return [
+        // Handle @overload annotations for the function
+        ...overloads.flatMap((tag) => ([
+            ...annotateFunction(checker, tag), traceNode(createSignature(
+                generateTypeParameterDeclarations(checker, resolveNodeLocals(tag.parent)),
+                generateParameterDeclarations(checker, tag.typeExpression.parameters),
+                tag.parent.tags?.some(isJSDocThrowsTag) ? (
+                    ts.factory.createKeywordTypeNode(ts.SyntaxKind.NeverKeyword)
+                ) : (
+                    resolveActualType(checker, tag.typeExpression.type, isAsync)
+                )
+            ), tag)
+        ])),
+        // Annotate and declare the function
+        ...annotateMethod(checker, node), traceNode(createSignature(
+            !overloads.length ? templates : undefined, generateParameterDeclarations(checker, node.parameters),
+            ts.getAllJSDocTags(node, isJSDocThrowsTag).length ? (
+                ts.factory.createKeywordTypeNode(ts.SyntaxKind.NeverKeyword)
+            ) : (
+                resolveActualType(checker, ts.getJSDocReturnTag(node), isAsync)
+            )
+        ), node)
+    ];
+};
+
 /**
  * Generate an accurately typed declaration for a method-like class member
  * @param {ts.TypeChecker} checker - the TypeScript program's type checker
@@ -123,7 +199,7 @@ const generateConstructorDeclaration = (checker, node) => ([
 const generateMethodDeclaration = (checker, node, namespaces) => {
     const [abstractTag] = ts.getAllJSDocTags(node, isJSDocAbstractTag);
     const [implementsTag] = ts.getJSDocImplementsTags(node);
-    const modifiers = node.modifiers?.filter(({kind}) => kind !== ts.SyntaxKind.AsyncKeyword);
+    const modifiers = generateMemberModifiers(node);
     const templates = node.typeParameters ?? generateTypeParameterDeclarations(checker, node.locals);
     const parameters = generateParameterDeclarations(checker, node.parameters);
     const questionToken = isOptionalType(node) ? ts.factory.createToken(ts.SyntaxKind.QuestionToken) : node.questionToken;
@@ -144,10 +220,10 @@ const generateMethodDeclaration = (checker, node, namespaces) => {
         }
         
         return [
-            ...annotateMethod(node),
+            ...annotateMethod(checker, node),
             ts.isGetAccessorDeclaration(node) ? isReadOnlyAccessor(node) ? (
                 // If property has no set accessor, declare it as read-only
-                ts.factory.createPropertyDeclaration([...modifiers, ts.factory.createToken(ts.SyntaxKind.ReadonlyKeyword)], node.name, questionToken, resolveActualType(checker, type))
+                ts.factory.createPropertyDeclaration(generateMemberModifiers(node, true), node.name, questionToken, resolveActualType(checker, type))
             ) : (
                 // Otherwise, declare get accessor...
                 ts.factory.createGetAccessorDeclaration(modifiers, node.name, parameters, resolveActualType(checker, type))
@@ -160,47 +236,21 @@ const generateMethodDeclaration = (checker, node, namespaces) => {
     // Handle explicitly typed methods...
     else if (type)
         // ...by treating them as property declarations instead
-        return [...annotateMethod(node), ts.factory.createPropertyDeclaration(modifiers, node.name, questionToken, resolveActualType(checker, type))];
+        return [...annotateMethod(checker, node), ts.factory.createPropertyDeclaration(generateMemberModifiers(node, !!ts.getJSDocReadonlyTag(node)), node.name, questionToken, resolveActualType(checker, type))];
     // Also treat abstract static methods with templates as properties...
     else if (abstractTag && templates.length && modifiers.some(isStaticModifier)) {
         const name = ts.factory.createQualifiedName(node.parent.name, node.name);
         const type = ts.factory.createTypeReferenceNode(name, Array(templates.length).fill(ts.factory.createKeywordTypeNode(ts.SyntaxKind.AnyKeyword)));
         
-        return [...annotateMethod(node), ts.factory.createPropertyDeclaration(modifiers, node.name, questionToken, type)];
+        return [...annotateMethod(checker, node), ts.factory.createPropertyDeclaration(modifiers, node.name, questionToken, type)];
     }
     // ...as well as methods with valid implements tags!
     else if (implementsTag?.class?.typeArguments?.length)
-        return [...annotateMethod(node), ts.factory.createPropertyDeclaration(modifiers, node.name, questionToken, implementsTag.class)];
+        return [...annotateMethod(checker, node), ts.factory.createPropertyDeclaration(modifiers, node.name, questionToken, implementsTag.class)];
     // Finally, if all else fails, just declare the method!
-    else if (!implementsTag) {
-        const overloads = ts.getAllJSDocTags(node, ts.isJSDocOverloadTag);
-        
-        return [
-            // Handle @overload annotations for the method
-            ...overloads.flatMap((tag) => ([
-                ...annotateFunction(tag), ts.factory.createMethodDeclaration(
-                    modifiers, node.asteriskToken, node.name,
-                    isOptionalType(node) ? ts.factory.createToken(ts.SyntaxKind.QuestionToken) : node.questionToken,
-                    generateTypeParameterDeclarations(checker, resolveNodeLocals(tag.parent)),
-                    generateParameterDeclarations(checker, tag.typeExpression.parameters),
-                    tag.parent.tags?.some(isJSDocThrowsTag) ? (
-                        ts.factory.createKeywordTypeNode(ts.SyntaxKind.NeverKeyword)
-                    ) : (
-                        resolveActualType(checker, tag.typeExpression.type, node.modifiers?.some(({kind}) => kind === ts.SyntaxKind.AsyncKeyword))
-                    )
-                )
-            ])),
-            // Annotate and declare the method
-            ...annotateMethod(node), ts.factory.createMethodDeclaration(
-                modifiers, node.asteriskToken, node.name, questionToken, !overloads.length ? templates : undefined, parameters,
-                ts.getAllJSDocTags(node, isJSDocThrowsTag).length ? (
-                    ts.factory.createKeywordTypeNode(ts.SyntaxKind.NeverKeyword)
-                ) : (
-                    resolveActualType(checker, ts.getJSDocReturnTag(node), node.modifiers?.some(({kind}) => kind === ts.SyntaxKind.AsyncKeyword))
-                )
-            )
-        ];
-    }
+    else if (!implementsTag) return generateSignatureDeclarations(checker, node, templates, (typeParameters, parameters, type) => ts.factory.createMethodDeclaration(
+        modifiers, node.asteriskToken, node.name, questionToken, typeParameters, parameters, type
+    ));
 };
 
 /**
@@ -215,22 +265,89 @@ const generateTypeDefType = (checker, typeExpression) => typeExpression?.jsDocPr
     resolveActualType(checker, typeExpression?.type ?? typeExpression)
 );
 
+/**
+ * Generate a copy of a literal value found in the source, so it can be declared elsewhere
+ * @param {ts.StringLiteralLike|ts.NumericLiteral|ts.PrefixUnaryExpression} node - the literal value, or negated numeric literal value
+ * @returns {ts.StringLiteral|ts.NumericLiteral|ts.PrefixUnaryExpression} the copied literal value
+ */
+const generateLiteralValue = (node) => (
+    ts.isPrefixUnaryExpression(node) ? ts.factory.createPrefixUnaryExpression(node.operator, generateLiteralValue(node.operand)) :
+    ts.isNumericLiteral(node) ? ts.factory.createNumericLiteral(node.text) : ts.factory.createStringLiteral(node.text)
+);
+
 /**
  * Generate a type literal declaration from a property assignment or declaration documented as an ENUM
  * @param {ts.JSDocTypeExpression} typeExpression - the callback tag's type expression declaration
- * @param {ts.PropertyAssignment|ts.PropertyDeclaration} source - the node which contains values to treat as enum members
+ * @param {ts.PropertyAssignment|ts.PropertyDeclaration|ts.VariableStatement} source - the node which contains values to treat as enum members
  * @returns {ts.UnionTypeNode} type containing all values converted to type literals
  */
 const generateEnumType = (typeExpression, source) => ts.factory.createUnionTypeNode(
     // Handle enums with explicit type annotations
-    ts.isUnionTypeNode(typeExpression?.type) ? typeExpression.type.types
-        .map(({literal: type}) => ts.factory.createLiteralTypeNode(ts.isNumericLiteral(type) ? ts.factory.createNumericLiteral(type.text) : ts.factory.createStringLiteral(type.text)))
+    ts.isUnionTypeNode(typeExpression?.type) ? typeExpression.type.types.map(({literal}) => ts.factory.createLiteralTypeNode(generateLiteralValue(literal)))
+    // Handle enums assigned an object literal, whose values are the values of its members
+    : resolveEnumMembers(source)?.map(({value}) => ts.factory.createLiteralTypeNode(generateLiteralValue(value)))
     // Otherwise, see if we can get the types from a property or variable assignment value
-    : (ts.isPropertyAssignment(source) ? [source] : source.declarationList.declarations)
-        .map(({initializer}) => initializer.elements.map((type) => ts.factory.createLiteralTypeNode(ts.isNumericLiteral(type) ? ts.factory.createNumericLiteral(type.text) : ts.factory.createStringLiteral(type.text))))
+    ?? (ts.isVariableStatement(source) ? source.declarationList.declarations : [source])
+        .map(({initializer}) => initializer.elements.map((type) => ts.factory.createLiteralTypeNode(generateLiteralValue(type))))
         .flatMap((types, _, declarations) => declarations.length > 1 ? ts.factory.createUnionTypeNode(types) : types)
 );
 
+/**
+ * Generate a copy of an enum member's name, so it can be declared elsewhere
+ * @param {ts.Identifier|ts.StringLiteral} node - the name of the member
+ * @returns {ts.Identifier|ts.StringLiteral} the copied name
+ */
+const generateMemberName = (node) => (ts.isIdentifier(node) ? ts.factory.createIdentifier(node.text) : ts.factory.createStringLiteral(node.text));
+
+/**
+ * Attach documentation comments to a generated node as leading comments, for lists the printer can't print them in directly, like the members of an enum
+ * @template {ts.Node} T
+ * @param {T} node - the generated node to attach the comments to
+ * @param {ts.JSDoc[]} docs - the documentation comments to attach
+ * @returns {T} the generated node, with the comments attached
+ */
+const generateLeadingComments = (node, docs) => ((printer) => docs.reduce((node, doc) => ts.addSyntheticLeadingComment(
+    node, ts.SyntaxKind.MultiLineCommentTrivia, printer.printNode(ts.EmitHint.Unspecified, doc, ts.createSourceFile("", "", ts.ScriptTarget.Latest)).replace(/^\/\*|\*\/$/g, ""), true
+), node))(ts.createPrinter({removeComments: false}));
+
+/**
+ * How enums assigned an object literal should be declared
+ * @typedef {"union"|"enum"|"const"|"object"} EnumFormat
+ */
+
+/**
+ * Generate declarations for an enum assigned an object literal, so its members can be referenced by name
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.JSDocEnumTag} node - the enum tag to generate declarations for
+ * @param {ts.Node} source - original node associated with the enum tag
+ * @param {String} name - name to declare the enum as
+ * @param {ts.ModifierLike[]} modifiers - modifiers for the declarations
+ * @param {EnumFormat} enumFormat - whether to declare an enum, a const enum, or a constant object and a type alias of its values
+ * @param {Map<String, NamespaceMember>} namespaces - the top-level set of structured definitions, for checking where the enum's value is exported
+ * @returns {(ts.EnumDeclaration|ts.VariableStatement|ts.TypeAliasDeclaration)[]|undefined} the generated declarations, if the enum shouldn't be declared as a type alias
+ */
+const generateEnumDeclarations = (checker, node, source, name, modifiers, enumFormat, namespaces) => ((members) => (!members || enumFormat === "union"
+    // Enums and constant objects claim a value exists under the enum's name, so only declare them if the value is actually exported there
+    || (enumFormat !== "const" && !isExportedEnum(node, source, namespaces)) ? undefined : enumFormat === "object" ? [
+    // Members of the constant object are referenced by name, while the type alias is the union of their values
+    ts.factory.createVariableStatement(modifiers, ts.factory.createVariableDeclarationList([ts.factory.createVariableDeclaration(name, undefined, ts.factory.createTypeLiteralNode(
+        members.flatMap(({name, value, source}) => [
+            ...annotateProp(checker, source.jsDoc?.at(-1)),
+            traceNode(ts.factory.createPropertySignature(
+                [ts.factory.createToken(ts.SyntaxKind.ReadonlyKeyword)], generateMemberName(name), undefined, ts.factory.createLiteralTypeNode(generateLiteralValue(value))
+            ), source)
+        ])
+    ))], ts.NodeFlags.Const)),
+    ts.factory.createTypeAliasDeclaration(modifiers, name, undefined, ts.factory.createIndexedAccessTypeNode(
+        ts.factory.createTypeQueryNode(ts.factory.createIdentifier(name)),
+        ts.factory.createTypeOperatorNode(ts.SyntaxKind.KeyOfKeyword, ts.factory.createTypeQueryNode(ts.factory.createIdentifier(name)))
+    ))
+] : [
+    ts.factory.createEnumDeclaration([...modifiers, ...(enumFormat === "const" ? [ts.factory.createToken(ts.SyntaxKind.ConstKeyword)] : [])], name, members.map(({name, value, source}) => generateLeadingComments(
+        traceNode(ts.factory.createEnumMember(generateMemberName(name), generateLiteralValue(value)), source), annotateProp(checker, source.jsDoc?.at(-1))
+    )))
+]))(ts.isJSDocEnumTag(node) ? resolveEnumMembers(source) : undefined);
+
 /**
  * Generate a function type from a JSDoc callback tag
  * @param {ts.TypeChecker} checker - the TypeScript program's type checker
@@ -240,12 +357,12 @@ const generateEnumType = (typeExpression, source) => ts.factory.createUnionTypeN
  */
 const generateCallbackType = (checker, node, source) => ts.factory.createFunctionTypeNode(
     node.typeExpression.typeParameters?.length ? generateTypeParameterDeclarations(checker, resolveNodeLocals(node.parent)) : undefined,
-    node.typeExpression.parameters?.map((node) => ts.factory.createParameterDeclaration(
+    node.typeExpression.parameters?.map((node) => traceNode(ts.factory.createParameterDeclaration(
         undefined, undefined, node.name,
         isOptionalType(node) ? ts.factory.createToken(ts.SyntaxKind.QuestionToken) : node.questionToken,
         node.type ?? resolveActualType(checker, node.typeExpression?.type ?? node?.type ?? node),
         undefined
-    )),
+    ), node)),
     resolveActualType(checker, node.typeExpression.type, source?.modifiers?.some(({kind}) => kind === ts.SyntaxKind.AsyncKeyword))
 );
 
@@ -256,7 +373,7 @@ const generateCallbackType = (checker, node, source) => ts.factory.createFunctio
  * @param {ts.Node} source - original node associated with the callback tag
  * @returns {ts.TypeLiteralNode|ts.UnionTypeNode|ts.FunctionTypeNode|undefined} generated type declaration for the given JSDoc node
  */
-const generateTypeDeclaration = (checker, node, source) => (
+export const generateTypeDeclaration = (checker, node, source) => (
     ts.isJSDocTypedefTag(node) ? generateTypeDefType(checker, node.typeExpression) :
     ts.isJSDocTypeLiteral(node) ? generateTypeDefType(checker, node) :
     ts.isJSDocEnumTag(node) ? generateEnumType(node.typeExpression, source) :
@@ -286,6 +403,137 @@ const generateMemberDeclaration = (checker, node, namespaces) => {
     }
 };
 
+/**
+ * Generate a type node for a value without a type annotation, using the type inferred by TypeScript
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.VariableDeclaration|ts.PropertyAssignment|ts.ShorthandPropertyAssignment} node - the value to generate an inferred type for
+ * @returns {ts.TypeNode} the inferred type of the value
+ */
+const generateInferredType = (checker, node) => {
+    const type = checker.typeToTypeNode(checker.getTypeAtLocation(node.name), undefined, ts.NodeBuilderFlags.NoTruncation);
+    
+    // Mention if TypeScript couldn't infer anything useful
+    if (type.kind === ts.SyntaxKind.AnyKeyword) reportDiagnostic(checker, node, "any", "No type annotation, and inferred type resolved to 'any'");
+    
+    return type;
+};
+
+/**
+ * Convert a generated class member declaration into the equivalent interface member declaration
+ * @param {ts.JSDoc|ts.PropertyDeclaration|ts.MethodDeclaration|ts.AccessorDeclaration} node - the generated class member declaration, or its annotation
+ * @param {ts.ClassElement} source - the class member the declaration was generated from
+ * @returns {ts.JSDoc|ts.TypeElement} the annotation, or the equivalent property, method, or accessor signature
+ */
+const generateSignatureMember = (node, source) => (ts.isJSDoc(node) ? node : traceNode(
+    ts.isPropertyDeclaration(node) ? ts.factory.createPropertySignature(node.modifiers?.filter(({kind}) => kind === ts.SyntaxKind.ReadonlyKeyword), node.name, node.questionToken, node.type) :
+    ts.isMethodDeclaration(node) ? ts.factory.createMethodSignature(undefined, node.name, node.questionToken, node.typeParameters, node.parameters, node.type) :
+    ts.isGetAccessorDeclaration(node) ? ts.factory.createGetAccessorDeclaration(undefined, node.name, node.parameters, node.type, undefined) :
+    ts.factory.createSetAccessorDeclaration(undefined, node.name, node.parameters, undefined),
+    source
+));
+
+/**
+ * Generate declarations for a mixin factory, as a function returning the class it was given merged with the mixin's instance members
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.SignatureDeclaration} node - the mixin factory function
+ * @param {ts.ClassLikeDeclaration} mixin - the class the mixin factory returns
+ * @param {String} name - the name the mixin factory should be declared as
+ * @param {ts.ModifierLike[]} modifiers - modifiers for the mixin's function and interface declarations
+ * @param {Map<String, NamespaceMember>} namespaces - where to source inherited declaration details from
+ * @returns {(ts.JSDoc|ts.FunctionDeclaration|ts.InterfaceDeclaration)[]} annotated function declaration, and interface declaration of the mixin's instance members
+ */
+const generateMixinDeclarations = (checker, node, mixin, name, modifiers, namespaces) => {
+    const [parameter] = node.parameters;
+    const templates = generateTypeParameterDeclarations(checker, resolveNodeLocals(node)) ?? [];
+    const isTyped = !!parameter && ts.getJSDocParameterTags(parameter).some(({typeExpression}) => !!typeExpression);
+    const constructor = (type) => ts.factory.createConstructorTypeNode(undefined, undefined, [
+        ts.factory.createParameterDeclaration(undefined, ts.factory.createToken(ts.SyntaxKind.DotDotDotToken), "args", undefined, ts.factory.createArrayTypeNode(ts.factory.createKeywordTypeNode(ts.SyntaxKind.AnyKeyword)))
+    ], type);
+    // Mixins that don't document the type of class they can be applied to accept any class
+    const [base] = isTyped ? generateParameterDeclarations(checker, [parameter]) : [
+        ts.factory.createParameterDeclaration(undefined, undefined, parameter?.name ?? "Base", undefined, ts.factory.createTypeReferenceNode("TBase"))
+    ];
+    const members = filterMembers("alias", mixin.members).filter((member) => (ts.isPropertyDeclaration(member) || ts.isMethodDeclaration(member) || ts.isAccessor(member))
+        && !member.modifiers?.some(({kind}) => [ts.SyntaxKind.StaticKeyword, ts.SyntaxKind.ProtectedKeyword].includes(kind)) && !ts.getJSDocProtectedTag(member));
+    
+    return [
+        ...annotateMethod(checker, node),
+        traceNode(ts.factory.createFunctionDeclaration(
+            modifiers, undefined, ts.factory.createIdentifier(name),
+            isTyped ? templates : [...templates, ts.factory.createTypeParameterDeclaration(undefined, "TBase", constructor(ts.factory.createTypeLiteralNode([])))],
+            [base],
+            // The returned class can be constructed the same way as the given class, and its instances also have the mixin's members
+            ts.factory.createIntersectionTypeNode([base.type, constructor(ts.factory.createTypeReferenceNode(name))]),
+            undefined
+        ), node),
+        ts.factory.createJSDocComment(`Instance members added to classes by the ${name} mixin`, []),
+        traceNode(ts.factory.createInterfaceDeclaration(
+            modifiers, ts.factory.createIdentifier(name), undefined, undefined,
+            // Static and protected members can't be declared by an interface, so only public instance members are merged into classes using the mixin
+            members.flatMap((member) => [generateMemberDeclaration(checker, member, namespaces)].flat().map((declaration) => generateSignatureMember(declaration, member)))
+        ), mixin)
+    ];
+};
+
+/**
+ * Generate annotated declarations for a function, constant, or object literal member value
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.FunctionDeclaration|ts.VariableDeclaration|ts.PropertyAssignment|ts.ShorthandPropertyAssignment|ts.MethodDeclaration} node - the value to annotate and declare
+ * @param {String} name - the name the value should be declared as
+ * @param {Map<String, NamespaceMember>} namespaces - where to source inherited declaration details from, for the members of mixins
+ * @returns {(ts.JSDoc|ts.FunctionDeclaration|ts.InterfaceDeclaration|ts.VariableStatement)[]} annotated function or constant declarations for the value
+ */
+const generateValueDeclaration = (checker, node, name, namespaces) => {
+    const modifiers = ts.getAllJSDocTags(node, ts.isJSDocPrivateTag).length ? [] : [ts.factory.createToken(ts.SyntaxKind.ExportKeyword)];
+    const target = ts.isFunctionLike(node) ? node : (node.initializer && ts.isFunctionLike(node.initializer) ? node.initializer : undefined);
+    const type = ts.getJSDocTypeTag(node);
+    const mixin = target && ts.getAllJSDocTags(node, isJSDocMixinTag).length ? resolveMixinClass(target) : undefined;
+    
+    // Declare mixin factories as functions that return the class they were given, merged with the mixin's members...
+    if (mixin && !type) return generateMixinDeclarations(checker, target, mixin, name, modifiers, namespaces);
+    // ...and other function-like values as functions, unless they were explicitly typed...
+    else if (target && !type) return generateSignatureDeclarations(checker, target, generateTypeParameterDeclarations(checker, resolveNodeLocals(target)), (typeParameters, parameters, type) => (
+        ts.factory.createFunctionDeclaration(modifiers, undefined, ts.factory.createIdentifier(name), typeParameters, parameters, type, undefined)
+    ));
+    // ...otherwise, declare anything that isn't going to be a namespace as a variable, or a constant if it wasn't a variable
+    else if (type || !resolveObjectLiteral(node.initializer)) return [
+        ...annotateProp(checker, ts.getJSDocCommentsAndTags(node).filter(ts.isJSDoc).pop()),
+        traceNode(ts.factory.createVariableStatement(modifiers, ts.factory.createVariableDeclarationList([
+            traceNode(ts.factory.createVariableDeclaration(ts.factory.createIdentifier(name), undefined, type ? (
+                resolveActualType(checker, type.typeExpression.type)
+            ) : (
+                generateInferredType(checker, node)
+            )), node)
+        ], ts.isVariableDeclarationList(node.parent) ? node.parent.flags & ts.NodeFlags.BlockScoped : ts.NodeFlags.Const)), node)
+    ];
+    // ...and leave the rest to be declared as a namespace, carrying over its documentation
+    else return annotateProp(checker, ts.getJSDocCommentsAndTags(node).filter(ts.isJSDoc).pop());
+};
+
+/**
+ * Resolve the types a class extends, unwrapping any mixin factories applied to its base class, and including any mixins named by mixes tags
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.ClassDeclaration} node - the class to resolve extended types for
+ * @returns {{type: ts.ExpressionWithTypeArguments, isInterface: Boolean}[]} each extended type, and whether only the class's interface declaration can extend it
+ */
+const resolveExtendedTypes = (checker, node) => ([
+    ...(node.heritageClauses?.find(isExtendsClause)?.types ?? []).flatMap((type) => {
+        const {mixins, base} = resolveMixinApplication(checker, type.expression);
+        const extended = mixins.length ? ts.factory.createExpressionWithTypeArguments(base, undefined) : type;
+        
+        return [
+            // Mixins only declare instance members, so they get merged in by the class's interface declaration...
+            ...mixins.map((mixin) => ({type: ts.factory.createExpressionWithTypeArguments(mixin, undefined), isInterface: true})),
+            // ...while whatever they were applied to is extended the same as any other base class, as long as it can be referenced by name
+            ...(!mixins.length || ts.isIdentifier(base) || ts.isPropertyAccessExpression(base) ? [{type: extended, isInterface: !isConstructableType(checker, mixins.length ? base : type)}] : [])
+        ];
+    }),
+    ...ts.getAllJSDocTags(node, isJSDocMixesTag).map(({comment}) => ts.getTextOfJSDocComment(comment)?.trim().split(/\s+/).shift()).filter((name) => !!name).map((name) => ({
+        type: ts.factory.createExpressionWithTypeArguments(name.split(".").map(ts.factory.createIdentifier).reduce((left, right) => ts.factory.createPropertyAccessExpression(left, right)), undefined),
+        isInterface: true
+    }))
+]);
+
 /**
  * Generate heritage clauses for a class, using both explicit clauses and JSDoc heritage clause tags
  * @param {ts.TypeChecker} checker - the TypeScript program's type checker
@@ -297,7 +545,7 @@ const generateClassHeritageClauses = (checker, node, isInterface = false) => ([
     ts.factory.createHeritageClause(
         ts.SyntaxKind.ExtendsKeyword, Array.from(new Map([
             // Make sure the type being extended is something that TypeScript won't complain about!
-            ...(node.heritageClauses?.find(isExtendsClause)?.types ?? []).flatMap((node) => ((isConstructableType(checker, node) ^ isInterface) ? node : [])),
+            ...resolveExtendedTypes(checker, node).flatMap(({type, isInterface: isMerged}) => (isMerged === isInterface ? type : [])),
             ...ts.getAllJSDocTags(node, isJSDocExtendsTag).map((tag) => tag.class)
         ].map((type) => ([ts.isIdentifier(type.expression) ? type.expression.escapedText : type.expression.name?.escapedText, type]))).values())
     ),
@@ -307,19 +555,137 @@ const generateClassHeritageClauses = (checker, node, isInterface = false) => ([
 ]);
 
 /**
- * Generate an interface declaration for a class that extends a type that is not constructable
+ * Generate an interface declaration for a class that extends a type that is not constructable, or uses any mixins
  * @param {ts.TypeChecker} checker - the TypeScript program's type checker
  * @param {ts.ClassDeclaration} node - the class to generate interface declaration for
  * @returns {ts.InterfaceDeclaration[]} the generated interface declaration
  */
-const generateInterfaceDeclaration = (checker, node) => (node.heritageClauses?.find(isExtendsClause)?.types?.some((node) => !isConstructableType(checker, node)) ? [
-    ts.factory.createInterfaceDeclaration(
-        node.modifiers.filter(({kind}) => kind !== ts.SyntaxKind.DefaultKeyword), node.name,
+const generateInterfaceDeclaration = (checker, node) => (resolveExtendedTypes(checker, node).some(({isInterface}) => isInterface) ? [
+    traceNode(ts.factory.createInterfaceDeclaration(
+        generateClassModifiers(node), node.name,
         generateTypeParameterDeclarations(checker, resolveNodeLocals(node)),
         generateClassHeritageClauses(checker, node, true).filter(({types}) => types?.length)
-    )
+    ), node)
 ] : []);
 
+/**
+ * Generate typed event listener method overloads for an EventTarget subclass that documents the events it dispatches
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.ClassDeclaration} node - the class to generate event listener methods for
+ * @returns {ts.MethodDeclaration[]} addEventListener and removeEventListener overloads, for the class's events and for any other events
+ */
+const generateEventListenerDeclarations = (checker, node) => (isEventTargetClass(checker, node) && resolveClassEvents(node).size ? ["addEventListener", "removeEventListener"].flatMap((method) => {
+    const eventMap = ts.factory.createTypeReferenceNode(ts.factory.createQualifiedName(node.name, "EventMap"));
+    const eventType = ts.factory.createTypeReferenceNode("K");
+    const options = ts.factory.createUnionTypeNode([
+        ts.factory.createKeywordTypeNode(ts.SyntaxKind.BooleanKeyword),
+        ts.factory.createTypeReferenceNode(method === "addEventListener" ? "AddEventListenerOptions" : "EventListenerOptions")
+    ]);
+    const createParameter = (name, type, isOptional = false) => ts.factory.createParameterDeclaration(undefined, undefined, name, isOptional ? ts.factory.createToken(ts.SyntaxKind.QuestionToken) : undefined, type);
+    
+    return [
+        // Listeners for documented events are given the type of the event from the class's event map...
+        ts.factory.createMethodDeclaration(undefined, undefined, method, undefined, [
+            ts.factory.createTypeParameterDeclaration(undefined, "K", ts.factory.createTypeOperatorNode(ts.SyntaxKind.KeyOfKeyword, eventMap))
+        ], [
+            createParameter("type", eventType),
+            createParameter("listener", ts.factory.createFunctionTypeNode(undefined, [
+                createParameter("event", ts.factory.createIndexedAccessTypeNode(eventMap, eventType))
+            ], ts.factory.createKeywordTypeNode(ts.SyntaxKind.AnyKeyword))),
+            createParameter("options", options, true)
+        ], ts.factory.createKeywordTypeNode(ts.SyntaxKind.VoidKeyword), undefined),
+        // ...while listeners for any other events are still accepted, same as for EventTarget
+        ts.factory.createMethodDeclaration(undefined, undefined, method, undefined, undefined, [
+            createParameter("type", ts.factory.createKeywordTypeNode(ts.SyntaxKind.StringKeyword)),
+            createParameter("listener", ts.factory.createUnionTypeNode([ts.factory.createTypeReferenceNode("EventListenerOrEventListenerObject"), ts.factory.createLiteralTypeNode(ts.factory.createNull())])),
+            createParameter("options", options, true)
+        ], ts.factory.createKeywordTypeNode(ts.SyntaxKind.VoidKeyword), undefined)
+    ];
+}) : []);
+
+/**
+ * Generate a type alias mapping each event an EventTarget subclass documents dispatching to the type of the event
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.Node} node - the namespace member to generate the event map for, if it is a class
+ * @returns {(ts.JSDoc|ts.TypeAliasDeclaration)[]} the annotated event map type alias declaration, if the class dispatches any events
+ */
+const generateEventMapDeclaration = (checker, node) => ((events) => (events.size ? [
+    ts.factory.createJSDocComment(`Events dispatched by ${node.name.escapedText}, keyed by event type`, []),
+    ts.factory.createTypeAliasDeclaration([ts.factory.createToken(ts.SyntaxKind.ExportKeyword)], "EventMap", undefined, ts.factory.createTypeLiteralNode(Array.from(events, ([name, {type, doc}]) => [
+        ...annotateProp(checker, doc),
+        // Events without a documented type are at least known to be events
+        ts.factory.createPropertySignature(
+            undefined, ts.isIdentifierText(name, ts.ScriptTarget.Latest) ? ts.factory.createIdentifier(name) : ts.factory.createStringLiteral(name), undefined,
+            type ? resolveActualType(checker, type) : ts.factory.createTypeReferenceNode("Event")
+        )
+    ]).flat()))
+] : []))(ts.isClassDeclaration(node) && isEventTargetClass(checker, node) ? resolveClassEvents(node) : new Map());
+
+/**
+ * Generate a type alias describing each attribute a custom element class documents, and the type of its value
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.Node} node - the namespace member to generate attribute types for, if it is a class
+ * @returns {(ts.JSDoc|ts.TypeAliasDeclaration)[]} the annotated attributes type alias declaration, if the class documents any attributes
+ */
+const generateAttributesDeclaration = (checker, node) => ((attributes) => (attributes.length ? [
+    ts.factory.createJSDocComment(`Attributes of ${node.name.escapedText} elements, keyed by attribute name`, []),
+    ts.factory.createTypeAliasDeclaration([ts.factory.createToken(ts.SyntaxKind.ExportKeyword)], "Attributes", undefined, ts.factory.createTypeLiteralNode(attributes.flatMap((tag) => [
+        ...annotateProp(checker, tag),
+        // Attributes can always be left off an element, and are strings unless documented otherwise
+        ts.factory.createPropertySignature(
+            undefined, ts.isIdentifierText(tag.name.escapedText, ts.ScriptTarget.Latest) ? ts.factory.createIdentifier(tag.name.escapedText) : ts.factory.createStringLiteral(tag.name.escapedText),
+            ts.factory.createToken(ts.SyntaxKind.QuestionToken),
+            tag.typeExpression ? resolveActualType(checker, tag.typeExpression.type) : ts.factory.createKeywordTypeNode(ts.SyntaxKind.StringKeyword)
+        )
+    ])))
+] : []))(ts.isClassDeclaration(node) ? resolveElementAttributes(node) : []);
+
+/**
+ * Generate a global augmentation of the HTML element tag name map, so elements created or queried by tag name have the type of the class that implements them
+ * @param {Map<String, String>} [elements] - qualified names of the classes implementing each custom element, keyed by tag name
+ * @param {ts.ModifierLike[]} [modifiers] - any modifiers the augmentation needs, depending on whether it is nested in an ambient module declaration
+ * @returns {ts.ModuleDeclaration[]} the global augmentation, if the library defines any custom elements
+ */
+const generateElementDeclarations = (elements, modifiers) => (elements?.size ? [ts.factory.createModuleDeclaration(modifiers, ts.factory.createIdentifier("global"), ts.factory.createModuleBlock([
+    ts.factory.createInterfaceDeclaration(undefined, "HTMLElementTagNameMap", undefined, undefined, Array.from(elements, ([name, className]) => ts.factory.createPropertySignature(
+        undefined, ts.factory.createStringLiteral(name), undefined, ts.factory.createTypeReferenceNode(generateQualifiedName(className))
+    )))
+]), ts.NodeFlags.GlobalAugmentation)] : []);
+
+/**
+ * Generate annotated declarations for documented members assigned to a class or its prototype after the class was declared
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.ClassDeclaration} node - the class to generate assigned member declarations for
+ * @returns {(ts.JSDoc|ts.MethodDeclaration|ts.PropertyDeclaration)[]} annotated method and property declarations for the assigned members
+ */
+const generateAssignedMemberDeclarations = (checker, node) => resolveAssignedMembers(node).flatMap(({name, isStatic, target, value, source}) => {
+    const modifiers = isStatic ? [ts.factory.createToken(ts.SyntaxKind.StaticKeyword)] : [];
+    const type = ts.getJSDocTypeTag(target);
+    
+    // Declare assigned functions as methods, unless they were explicitly typed...
+    if (ts.isFunctionLike(value) && !type) return generateSignatureDeclarations(checker, value, generateTypeParameterDeclarations(checker, resolveNodeLocals(value)), (typeParameters, parameters, type) => (
+        ts.factory.createMethodDeclaration(modifiers, undefined, ts.factory.createIdentifier(name), undefined, typeParameters, parameters, type, undefined)
+    ));
+    // ...otherwise, declare them as properties
+    else return [
+        ...annotateProp(checker, source.jsDoc.at(-1)),
+        traceNode(ts.factory.createPropertyDeclaration(
+            modifiers, ts.factory.createIdentifier(name), undefined,
+            type ? resolveActualType(checker, type.typeExpression.type) : generateInferredType(checker, target)
+        ), source)
+    ];
+});
+
+/**
+ * Generate modifiers for a class or interface declaration, which is always exported from its namespace since classes are only declared when namespaced
+ * @param {ts.ClassDeclaration} node - the class to generate modifiers for
+ * @returns {ts.ModifierLike[]} modifiers for the declaration, without any default modifier
+ */
+const generateClassModifiers = (node) => ([
+    ts.factory.createToken(ts.SyntaxKind.ExportKeyword),
+    ...(node.modifiers ?? []).filter(({kind}) => kind !== ts.SyntaxKind.DefaultKeyword && kind !== ts.SyntaxKind.ExportKeyword)
+]);
+
 /**
  * Generate a class declaration for a given class, including a possible interface declaration
  * @param {ts.TypeChecker} checker - the TypeScript program's type checker
@@ -328,18 +694,75 @@ const generateInterfaceDeclaration = (checker, node) => (node.heritageClauses?.f
  * @param {Map<string, any>} namespaces - where to source inherited declaration details from
  * @returns {(ts.InterfaceDeclaration|ts.ClassDeclaration)[]} the generated class declaration
  */
-const generateClassDeclaration = (checker, node, type, namespaces) => (filterMembers(type, node.members).length ? [
+const generateClassDeclaration = (checker, node, type, namespaces) => applyTagHandlers(checker, {kind: "class", name: node.name.text, node}, filterMembers(type, node.members).length || resolveAssignedMembers(node).length ? [
     ...generateInterfaceDeclaration(checker, node),
-    ts.factory.createClassDeclaration(
-        node.modifiers.filter(({kind}) => kind !== ts.SyntaxKind.DefaultKeyword), node.name,
+    ...annotateClass(checker, node),
+    traceNode(ts.factory.createClassDeclaration(
+        generateClassModifiers(node), node.name,
         generateTypeParameterDeclarations(checker, resolveNodeLocals(node)),
         generateClassHeritageClauses(checker, node).filter(({types}) => types?.length),
         ts.factory.createNodeArray([
-            ...filterMembers(type, node.members).flatMap(node => generateMemberDeclaration(checker, node, namespaces))
+            // Classes with hidden constructors still need a protected constructor declared, even when they don't have an explicit constructor
+            ...(isHiddenConstructor(node) && !node.members.some(ts.isConstructorDeclaration) ? [generateHiddenConstructorDeclaration()] : []),
+            // Make sure every member declaration can be traced back to the member it was generated from
+            ...filterMembers(type, node.members).flatMap((node) => applyTagHandlers(checker, {kind: "member", name: node.name?.text ?? "constructor", node}, [generateMemberDeclaration(checker, node, namespaces)].flat())
+                .map((member) => (ts.isJSDoc(member) || member.original ? member : traceNode(member, node)))),
+            // Members assigned to the class or its prototype afterwards are declared along with its own members
+            ...generateAssignedMemberDeclarations(checker, node),
+            // Classes that dispatch documented events get typed listener methods for them
+            ...generateEventListenerDeclarations(checker, node)
         ])
-    )
+    ), node)
 ] : []);
 
+/**
+ * Resolve the type a generated value or class member declaration declares, as it would be written in a type annotation
+ * @param {ts.Node[]} declarations - generated declarations of a single value or class member, including any annotations and overloads
+ * @returns {ts.TypeNode|undefined} the declared type, as an intersection of call signatures if the value or member has overloads
+ */
+const resolveDeclaredType = (declarations) => {
+    const signatures = declarations.filter((node) => ts.isFunctionDeclaration(node) || ts.isMethodDeclaration(node)).map(({typeParameters, parameters, type}) => (
+        ts.factory.createFunctionTypeNode(typeParameters, parameters, type ?? ts.factory.createKeywordTypeNode(ts.SyntaxKind.AnyKeyword))
+    ));
+    // Accessors are typed by the get accessor where there is one, otherwise by the value the set accessor accepts
+    const [declaration] = [...declarations.filter((node) => ts.isPropertyDeclaration(node) || ts.isGetAccessorDeclaration(node)), ...declarations.filter(ts.isSetAccessorDeclaration)];
+    
+    if (signatures.length) return signatures.length > 1 ? ts.factory.createIntersectionTypeNode(signatures) : signatures[0];
+    else if (declarations.some(ts.isVariableStatement)) return declarations.find(ts.isVariableStatement).declarationList.declarations[0].type;
+    else if (declaration) return ts.isSetAccessorDeclaration(declaration) ? declaration.parameters[0]?.type : declaration.type;
+};
+
+/**
+ * Generate the type a function or constant value is declared with, exactly as it is declared in the type definition file
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.FunctionDeclaration|ts.VariableDeclaration|ts.PropertyAssignment|ts.ShorthandPropertyAssignment|ts.MethodDeclaration} node - the value to generate the declared type of
+ * @param {String} name - the name the value is declared as
+ * @param {Map<String, NamespaceMember>} namespaces - where to source inherited declaration details from, for the members of mixins
+ * @returns {ts.TypeNode|undefined} the declared type of the value
+ */
+export const generateValueType = (checker, node, name, namespaces) => resolveDeclaredType(applyTagHandlers(checker, {kind: "value", name, node}, generateValueDeclaration(checker, node, name, namespaces)));
+
+/**
+ * Generate the types each member of a class is declared with, exactly as they are declared in the type definition file
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.ClassDeclaration} node - the class to generate declared member types for
+ * @param {MemberType} type - whether the given class is marked as a namespace or a plain class
+ * @param {Map<String, NamespaceMember>} namespaces - where to source inherited declaration details from
+ * @returns {Map<String, ts.TypeNode>} the declared type of each class member, keyed by member name, prefixed with "static " for static members
+ */
+export const generateClassMemberTypes = (checker, node, type, namespaces) => {
+    const [declaration] = generateClassDeclaration(checker, node, type, namespaces).filter(ts.isClassDeclaration);
+    const members = new Map();
+    
+    // Group overloads and accessor pairs together, so each member only has one type
+    for (let member of (declaration?.members ?? []).filter(({name}) => !!name)) {
+        const key = `${member.modifiers?.some(isStaticModifier) ? "static " : ""}${member.name.text ?? member.name.escapedText}`;
+        members.set(key, [...(members.get(key) ?? []), member]);
+    }
+    
+    return new Map(Array.from(members, ([key, declarations]) => [key, resolveDeclaredType(declarations)]));
+};
+
 /**
  * Generate a module declaration with the given contents
  * @param {ts.StringLiteral|ts.Identifier} name - string literal identifier for this module declaration
@@ -361,7 +784,7 @@ const generateModuleDeclaration = (name, modifier, nodes) => ts.factory.createMo
  * Details of a namespace member declaration
  * @typedef {Object} NamespaceMember
  * @prop {MemberType} [type] - name of the namespace-containing tag of the member
- * @prop {ts.ClassDeclaration} node - the declaration-containing node of the member
+ * @prop {ts.ClassDeclaration|ts.FunctionDeclaration|ts.VariableDeclaration|ts.ObjectLiteralElementLike} node - the declaration-containing node of the member
  * @prop {Map<String, NamespaceMember>} members - any resolved children of the member
  * @prop {ts.Node} [source] - the original node the member was found on
  */
@@ -371,23 +794,27 @@ const generateModuleDeclaration = (name, modifier, nodes) => ts.factory.createMo
  * @param {ts.TypeChecker} checker - the TypeScript program's type checker
  * @param {Map<String, NamespaceMember>} members - any namespaces or type definitions that should be included in this namespace/module
  * @param {Map<String, NamespaceMember>} [namespaces=members] - the top-level set of structured definitions for sourcing inheritance
+ * @param {EnumFormat} [enumFormat="union"] - how enums assigned an object literal should be declared
  * @returns {ts.ModuleDeclaration} module or namespace declaration with annotation and nested declarations
  */
-const generateNamespaceDeclarations = (checker, members, namespaces = members) => Array.from(members.entries(), ([name, {type, node, members, source}]) => ([
+const generateNamespaceDeclarations = (checker, members, namespaces = members, enumFormat = "union") => Array.from(members.entries(), ([name, {type, node, members, source}]) => ([
     ...(!!type ? [
-        // Generate an annotated class declaration, and recurse into any namespaced member declarations
-        ...generateClassDeclaration(checker, node, type, namespaces),
-        ...(members?.size ? [generateModuleDeclaration(ts.factory.createIdentifier(name), ts.SyntaxKind.ExportKeyword, generateNamespaceDeclarations(checker, members, namespaces))] : [])
-    ] : node ? [
+        // Generate an annotated class or value declaration, and recurse into any namespaced member declarations
+        ...(ts.isClassDeclaration(node) ? generateClassDeclaration(checker, node, type, namespaces) : applyTagHandlers(checker, {kind: "value", name, node}, generateValueDeclaration(checker, node, name, namespaces))),
+        ...((events) => (members?.size || events.length ? [generateModuleDeclaration(ts.factory.createIdentifier(name), ts.SyntaxKind.ExportKeyword, [
+            ...events, ...(members?.size ? generateNamespaceDeclarations(checker, members, namespaces, enumFormat) : [])
+        ])] : []))([...generateEventMapDeclaration(checker, node), ...generateAttributesDeclaration(checker, node)])
+    ] : node ? applyTagHandlers(checker, {kind: "typedef", name, node, tags: resolveTypeDefTags(node)}, ((modifiers) => [
         // Annotate and generate any namespace member declarations
-        ...(ts.isJSDocCallbackTag(node) ? annotateFunction(node) : annotateProp(node.parent)),
-        ts.factory.createTypeAliasDeclaration(
-            node.parent.tags?.some(ts.isJSDocPrivateTag) ? [] : [ts.factory.createToken(ts.SyntaxKind.ExportKeyword)],
+        ...(ts.isJSDocCallbackTag(node) ? annotateFunction(checker, node) : annotateProp(checker, node.parent)),
+        // Enums can also be declared with named members, when asked to and when their members are known
+        ...(generateEnumDeclarations(checker, node, source, name, modifiers, enumFormat, namespaces) ?? [ts.factory.createTypeAliasDeclaration(
+            modifiers,
             ts.factory.createIdentifier(name),
             generateTypeParameterDeclarations(checker, node.locals),
             generateTypeDeclaration(checker, node, source)
-        )
-    ] : [])
+        )]).map((declaration) => traceNode(declaration, node.pos >= 0 ? node : source))
+    ])(node.parent.tags?.some(ts.isJSDocPrivateTag) ? [] : [ts.factory.createToken(ts.SyntaxKind.ExportKeyword)])) : [])
 ])).flat();
 
 /**
@@ -395,34 +822,48 @@ const generateNamespaceDeclarations = (checker, members, namespaces = members) =
  * @typedef {Object} ModuleImport
  * @prop {Set<String>} names - what the external modules should be imported as
  * @prop {Set<String>} bindings - any directly imported members of the external module
+ * @prop {Set<String>} [requires] - what the whole external module was required as, by CommonJS modules
  */
 
 /**
  * Generate import declarations for external modules
  * @param {Map<String, ModuleImport>} imports - external modules that are imported
- * @returns {ts.ImportDeclaration[]} import declarations for external modules
- */
-const generateModuleImports = (imports) => Array.from(imports?.entries() ?? []).flatMap(([name, {names, bindings}]) => Array.from(names.values(), (binding, index) => ts.factory.createImportDeclaration(
-    undefined,
-    ts.factory.createImportClause(false, ts.factory.createIdentifier(binding), index > 0 || !bindings.size ? undefined : ts.factory.createNamedImports(
-        Array.from(bindings.values(), (binding) => binding.split(",")).map(([k, v]) => ts.factory.createImportSpecifier(
-            false, v && ts.factory.createIdentifier(k), ts.factory.createIdentifier(v ?? k)
-        ))
+ * @returns {(ts.ImportEqualsDeclaration|ts.ImportDeclaration)[]} import declarations for external modules
+ */
+const generateModuleImports = (imports) => Array.from(imports?.entries() ?? []).flatMap(([name, {names, bindings, requires = new Set()}]) => [
+    // Whole modules required by CommonJS modules are imported the way TypeScript expects modules with export assignments to be imported...
+    ...Array.from(requires.values(), (binding) => ts.factory.createImportEqualsDeclaration(
+        undefined, false, ts.factory.createIdentifier(binding), ts.factory.createExternalModuleReference(ts.factory.createStringLiteral(name))
     )),
-    ts.factory.createStringLiteral(name),
-    undefined
-)));
+    // ...while named bindings are imported along with the first default import, or on their own if there are no default imports
+    ...Array.from(names.size || !bindings.size ? names.values() : [undefined], (binding, index) => ts.factory.createImportDeclaration(
+        undefined,
+        ts.factory.createImportClause(false, binding && ts.factory.createIdentifier(binding), index > 0 || !bindings.size ? undefined : ts.factory.createNamedImports(
+            Array.from(bindings.values(), (binding) => binding.split(",")).map(([k, v]) => ts.factory.createImportSpecifier(
+                false, v && ts.factory.createIdentifier(k), ts.factory.createIdentifier(v ?? k)
+            ))
+        )),
+        ts.factory.createStringLiteral(name),
+        undefined
+    ))
+]);
 
 /**
  * Generate exports for a module declaration
  * @param {ts.Identifier|ts.QualifiedName} defaultExport - identifier for the default export of the module declaration
  * @param {Map<String, NamespaceMember>} [members] - any nested namespaces that also need to be exported
  * @param {Map<String, ts.ExportDeclaration>} [exports] - any external modules that are re-exported
+ * @param {Boolean} [exportAssignment=false] - whether the default export is the whole module, as it is for CommonJS modules that assign it to "module.exports"
  * @returns {ts.Node[]} exports statements for the primary module declaration
  */
-const generateModuleExports = (defaultExport, members, exports) => ([
+const generateModuleExports = (defaultExport, members, exports, exportAssignment = false) => ([
     ...Array.from(exports?.values() ?? []),
-    ...(members instanceof Map ? [
+    // Namespace members of the default export are already members of the whole module when it is assigned as an export...
+    ...(members instanceof Map && exportAssignment ? [
+        ts.factory.createExportAssignment(undefined, true, !ts.isQualifiedName(defaultExport) ? defaultExport : ts.factory.createPropertyAccessExpression(defaultExport.left, defaultExport.right))
+    ] : []),
+    // ...otherwise, they need to be exported separately
+    ...(members instanceof Map && !exportAssignment ? [
         // Create import equals aliases from each namespace member...
         ...Array.from(members.keys(), ts.factory.createIdentifier)
             .map((name) => ts.factory.createImportEqualsDeclaration(undefined, false, name, ts.factory.createQualifiedName(defaultExport, name))),
@@ -435,28 +876,167 @@ const generateModuleExports = (defaultExport, members, exports) => ([
     ] : [])
 ]);
 
+/**
+ * Remove export modifiers from top-level declarations, since modules with an export assignment can't export anything else
+ * @param {ts.Node[]} nodes - top-level declarations of the module
+ * @param {Boolean} exportAssignment - whether the module has an export assignment
+ * @param {Boolean} [isAmbient=true] - whether the declarations are in an ambient module declaration, otherwise they need to be declared instead of exported
+ * @returns {ts.Node[]} the declarations, without export modifiers if the module has an export assignment
+ */
+const generateModuleStatements = (nodes, exportAssignment, isAmbient = true) => (!exportAssignment ? nodes : nodes.map((node) => (
+    ts.canHaveModifiers(node) && node.modifiers?.some(({kind}) => kind === ts.SyntaxKind.ExportKeyword) ? ts.factory.replaceModifiers(node, [
+        ...(isAmbient ? [] : [ts.factory.createToken(ts.SyntaxKind.DeclareKeyword)]),
+        ...node.modifiers.filter(({kind}) => kind !== ts.SyntaxKind.ExportKeyword)
+    ]) : node
+)));
+
+/**
+ * Generate an import of the primary module's default export, for other modules that export its namespaces
+ * @param {String} defaultExport - name of the primary module's default export
+ * @param {String} specifier - module specifier the primary module can be imported from
+ * @param {Boolean} exportAssignment - whether the primary module is declared with an export assignment, so has no default export
+ * @returns {ts.ImportDeclaration|ts.ImportEqualsDeclaration} the import declaration
+ */
+const generateDefaultImport = (defaultExport, specifier, exportAssignment) => (exportAssignment ? (
+    ts.factory.createImportEqualsDeclaration(undefined, false, ts.factory.createIdentifier(defaultExport), ts.factory.createExternalModuleReference(ts.factory.createStringLiteral(specifier)))
+) : (
+    ts.factory.createImportDeclaration(undefined, ts.factory.createImportClause(false, ts.factory.createIdentifier(defaultExport)), ts.factory.createStringLiteral(specifier))
+));
+
 /**
  * Create a TypeScript source file and generate module declarations
  * @param {ts.TypeChecker} checker - the TypeScript program's type checker
  * @param {Object} content - details of what should be included in the source file
  * @param {String} content.moduleName - name of the primary module declaration included in this source file
  * @param {String} content.defaultExport - name of the primary module's primary export included in this source file
+ * @param {Boolean} [content.exportAssignment] - whether the primary module's primary export should be declared as an export assignment
  * @param {Map<String, ModuleImport>} [content.imports] - any externally declared modules imported in this source file
  * @param {Map<string, ts.ExportDeclaration>} [content.exports] - any externally declared modules that are re-exported in this source file
  * @param {Map<String, String>} [content.modules] - names of modules to generate alias declarations for
+ * @param {Map<String, String>} [content.elements] - custom elements defined by the library, and the qualified names of the classes that implement them
  * @param {Map<String, NamespaceMember>} content.namespaces - contents of the primary module to generate declarations for
+ * @param {EnumFormat} [content.enumFormat] - how enums assigned an object literal should be declared
  * @returns {ts.SourceFile} the generated source file including all requested declarations
  */
-export const generateDeclarationFile = (checker, {moduleName, defaultExport, imports, exports, modules, namespaces}) => ts.factory.createSourceFile(ts.factory.createNodeArray([
+export const generateDeclarationFile = (checker, {moduleName, defaultExport, exportAssignment, imports, exports, modules, elements, namespaces, enumFormat}) => ts.factory.createSourceFile(ts.factory.createNodeArray([
     ...Array.from(modules?.entries() ?? []).filter(([name]) => name !== moduleName).map(([name, namespace]) => generateModuleDeclaration(
         ts.factory.createStringLiteral(name), ts.SyntaxKind.DeclareKeyword, [
-            ts.factory.createImportDeclaration(undefined, ts.factory.createImportClause(false, ts.factory.createIdentifier(defaultExport)), ts.factory.createStringLiteral(moduleName)),
-            ...generateModuleExports(generateQualifiedName(namespace), findNamespaces(namespace, namespaces)?.members)
+            generateDefaultImport(defaultExport, moduleName, exportAssignment),
+            ...generateModuleExports(generateQualifiedName(namespace), findNamespaces(namespace, namespaces)?.members, undefined, exportAssignment)
         ]
     )),
     generateModuleDeclaration(ts.factory.createStringLiteral(moduleName), ts.SyntaxKind.DeclareKeyword, [
         ...generateModuleImports(imports),
-        ...generateModuleExports(ts.factory.createIdentifier(defaultExport), namespaces.get(defaultExport)?.members, exports),
-        ...generateNamespaceDeclarations(checker, namespaces)
+        ...generateModuleExports(ts.factory.createIdentifier(defaultExport), namespaces.get(defaultExport)?.members, exports, exportAssignment),
+        ...generateModuleStatements(generateNamespaceDeclarations(checker, namespaces, namespaces, enumFormat), exportAssignment),
+        ...generateElementDeclarations(elements)
     ])
-]));
\ No newline at end of file
+]));
+
+/**
+ * Generate a relative module specifier from one declaration file to another, as expected by ES module resolution
+ * @param {String} from - file name of the declaration file doing the importing
+ * @param {String} to - file name of the declaration file being imported
+ * @returns {String} the relative module specifier, pointing at the JavaScript file the imported declaration file describes
+ */
+const generateRelativeSpecifier = (from, to) => ((specifier) => (specifier.startsWith(".") ? specifier : `./${specifier}`))(
+    posix.relative(posix.dirname(from), to).replace(/\.d\.ts$/, ".js")
+);
+
+/**
+ * Create TypeScript source files that declare each module as a plain ES module, instead of as ambient module declarations
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {Object} content - details of what should be included in the source files
+ * @param {String} content.moduleName - name of the primary module, whose declarations are included in the primary source file
+ * @param {String} content.defaultExport - name of the primary module's primary export
+ * @param {Boolean} [content.exportAssignment] - whether the primary module's primary export should be declared as an export assignment
+ * @param {Map<String, ModuleImport>} [content.imports] - any externally declared modules imported by the primary module
+ * @param {Map<string, ts.ExportDeclaration>} [content.exports] - any externally declared modules that are re-exported by the primary module
+ * @param {Map<String, String>} [content.modules] - names of modules to generate separate source files for
+ * @param {Map<String, String>} [content.elements] - custom elements defined by the library, and the qualified names of the classes that implement them
+ * @param {Map<String, NamespaceMember>} content.namespaces - contents of the primary module to generate declarations for
+ * @param {EnumFormat} [content.enumFormat] - how enums assigned an object literal should be declared
+ * @param {String} fileName - file name of the primary module's source file, which determines where other modules' source files are placed
+ * @returns {Map<String, ts.SourceFile>} the generated source files, keyed by file name
+ */
+export const generateModuleDeclarationFiles = (checker, {moduleName, defaultExport, exportAssignment, imports, exports, modules, elements, namespaces, enumFormat}, fileName) => new Map([
+    [fileName, ts.factory.createSourceFile(ts.factory.createNodeArray([
+        ...generateModuleImports(imports),
+        ...generateModuleExports(ts.factory.createIdentifier(defaultExport), namespaces.get(defaultExport)?.members, exports, exportAssignment),
+        ...generateModuleStatements(generateNamespaceDeclarations(checker, namespaces, namespaces, enumFormat), exportAssignment, false),
+        ...generateElementDeclarations(elements, [ts.factory.createToken(ts.SyntaxKind.DeclareKeyword)])
+    ]))],
+    // Other modules are declared next to the primary module, and import everything from it
+    ...Array.from(modules?.entries() ?? []).filter(([name]) => name !== moduleName).map(([name, namespace]) => ((name) => [name, ts.factory.createSourceFile(ts.factory.createNodeArray([
+        generateDefaultImport(defaultExport, generateRelativeSpecifier(name, fileName), exportAssignment),
+        ...generateModuleExports(generateQualifiedName(namespace), findNamespaces(namespace, namespaces)?.members, undefined, exportAssignment)
+    ]))])(posix.join(posix.dirname(fileName), `${name}.d.ts`)))
+]);
+
+/**
+ * Find the names of top-level declarations referenced by types in generated declarations
+ * @param {ts.Node[]} nodes - the generated declarations to search
+ * @param {Set<String>} [names] - where to save the referenced names
+ * @returns {Set<String>} the leftmost name of every type referenced in the declarations
+ */
+const resolveReferencedNames = (nodes, names = new Set()) => {
+    const leftmost = (name) => (ts.isQualifiedName(name) ? leftmost(name.left) : ts.isPropertyAccessExpression(name) ? leftmost(name.expression) : name);
+    
+    for (let node of nodes) {
+        const name = ts.isTypeReferenceNode(node) ? node.typeName : ts.isTypeQueryNode(node) ? node.exprName : ts.isExpressionWithTypeArguments(node) ? node.expression : undefined;
+        
+        if (name && ts.isIdentifier(leftmost(name))) names.add(leftmost(name).escapedText);
+        ts.forEachChild(node, (child) => void resolveReferencedNames([child], names));
+    }
+    
+    return names;
+};
+
+/**
+ * Create TypeScript source files that declare each entry point as a plain ES module, declaring its own values and re-exporting anything else from the primary module
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {Map<String, {exported: [String, String][], values?: Map<String, NamespaceMember>}>} entryPoints - exported names and qualified namespace names of declarations in the primary module, and values only the entry point exports, keyed by entry point file name
+ * @param {Object} primary - where the primary module's declarations can be imported from
+ * @param {String} primary.moduleName - name of the primary module, imported directly when it is declared as an ambient module
+ * @param {String} primary.fileName - file name of the primary module's source file, imported relatively when it is declared as a plain ES module
+ * @param {"ambient"|"esm"} primary.moduleFormat - whether the primary module is declared as an ambient module, or a plain ES module
+ * @param {Map<String, NamespaceMember>} [primary.namespaces] - contents of the primary module, which the entry point's own values may reference
+ * @returns {Map<String, ts.SourceFile>} the generated source files, keyed by file name
+ */
+export const generateEntryDeclarationFiles = (checker, entryPoints, {moduleName, fileName, moduleFormat, namespaces = new Map()}) => new Map(Array.from(entryPoints, ([name, {exported, values = new Map()}]) => {
+    // Functions the entry point exports as its default export are still declared as its default export
+    const declarations = generateNamespaceDeclarations(checker, values, namespaces).map((declaration) => (
+        ts.isFunctionDeclaration(declaration) && values.get(declaration.name?.text)?.node?.modifiers?.some(({kind}) => kind === ts.SyntaxKind.DefaultKeyword)
+            ? ts.factory.replaceModifiers(declaration, [...(ts.getModifiers(declaration) ?? []), ts.factory.createToken(ts.SyntaxKind.DefaultKeyword)]) : declaration
+    ));
+    // Values declared by the entry point itself may reference anything declared at the top of the primary module
+    const referenced = [...resolveReferencedNames(declarations)].filter((root) => !values.has(root) && (namespaces.get(root)?.type || namespaces.get(root)?.node));
+    const roots = new Set([...exported.map(([, namespace]) => namespace.split(".").shift()), ...referenced]);
+    const aliases = new Map();
+    
+    // Nested namespace members need a local alias to be exported, so give each one a unique name
+    for (let [, namespace] of exported.filter(([, namespace]) => namespace.includes(".") && !aliases.has(namespace))) {
+        const alias = namespace.split(".").pop();
+        aliases.set(namespace, roots.has(alias) || values.has(alias) || [...aliases.values()].includes(alias) ? namespace.replaceAll(".", "_") : alias);
+    }
+    
+    return [name, ((sourceFile) => (moduleFormat === "esm" ? sourceFile : ts.factory.updateSourceFile(sourceFile, sourceFile.statements, true, [
+        // Ambient modules are only visible once their declaration file is loaded, so make sure it is referenced
+        {fileName: posix.relative(posix.dirname(name), fileName), pos: -1, end: -1}
+    ], [], false, [])))(ts.factory.createSourceFile(ts.factory.createNodeArray([
+        // Import all top-level declarations the entry point's exports belong to, or its own values reference...
+        ...(roots.size ? [ts.factory.createImportDeclaration(
+            undefined,
+            ts.factory.createImportClause(false, undefined, ts.factory.createNamedImports(Array.from(roots, (root) => ts.factory.createImportSpecifier(false, undefined, ts.factory.createIdentifier(root))))),
+            ts.factory.createStringLiteral(moduleFormat === "esm" ? generateRelativeSpecifier(name, fileName) : moduleName)
+        )] : []),
+        // ...alias any nested namespace members...
+        ...Array.from(aliases, ([namespace, alias]) => ts.factory.createImportEqualsDeclaration(undefined, false, alias, generateQualifiedName(namespace))),
+        // ...declare the values only the entry point exports...
+        ...declarations,
+        // ...then export everything else under the names the entry point exports them as
+        ts.factory.createExportDeclaration(undefined, false, ts.factory.createNamedExports(exported.map(([as, namespace]) => ((local) => ts.factory.createExportSpecifier(
+            false, local !== as ? ts.factory.createIdentifier(local) : undefined, ts.factory.createIdentifier(as)
+        ))(aliases.get(namespace) ?? namespace))))
+    ])))];
+}));
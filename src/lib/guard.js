@@ -0,0 +1,255 @@
+import ts from "typescript";
+import {collectTypeAliases, resolveAliasName} from "./schema.js";
+
+/**
+ * Checks for values of TypeScript's primitive type keywords, given the expression being checked
+ * @type {Map<ts.SyntaxKind, (value: String) => String>}
+ */
+const keywordChecks = new Map([
+    [ts.SyntaxKind.StringKeyword, (value) => `typeof ${value} === "string"`],
+    [ts.SyntaxKind.NumberKeyword, (value) => `typeof ${value} === "number"`],
+    [ts.SyntaxKind.BigIntKeyword, (value) => `typeof ${value} === "bigint"`],
+    [ts.SyntaxKind.BooleanKeyword, (value) => `typeof ${value} === "boolean"`],
+    [ts.SyntaxKind.SymbolKeyword, (value) => `typeof ${value} === "symbol"`],
+    [ts.SyntaxKind.ObjectKeyword, (value) => `(typeof ${value} === "object" && ${value} !== null)`],
+    [ts.SyntaxKind.NullKeyword, (value) => `${value} === null`],
+    [ts.SyntaxKind.UndefinedKeyword, (value) => `${value} === undefined`],
+    [ts.SyntaxKind.VoidKeyword, (value) => `${value} === undefined`],
+    [ts.SyntaxKind.NeverKeyword, () => "false"],
+    [ts.SyntaxKind.AnyKeyword, () => "true"],
+    [ts.SyntaxKind.UnknownKeyword, () => "true"]
+]);
+
+/**
+ * Names of global constructors whose instances can be checked for with instanceof
+ * @type {Set<String>}
+ */
+const globalConstructors = new Set([
+    "Date", "RegExp", "Error", "Map", "Set", "WeakMap", "WeakSet", "Promise", "ArrayBuffer", "DataView",
+    "Int8Array", "Uint8Array", "Uint8ClampedArray", "Int16Array", "Uint16Array", "Int32Array", "Uint32Array", "Float32Array", "Float64Array", "BigInt64Array", "BigUint64Array"
+]);
+
+/**
+ * What's needed to generate checks for the type of a type alias
+ * @typedef {Object} GuardContext
+ * @prop {Map<String, {node: ts.TypeAliasDeclaration, scope: String[]}>} aliases - every type alias, keyed by qualified name
+ * @prop {String[]} scope - names of the namespaces the type alias was declared in
+ * @prop {Set<String>} typeParameters - names of the type alias's type parameters, which could be anything at runtime
+ * @prop {Set<String>} referenced - qualified names of type aliases that also need guards, because they were referenced
+ * @prop {Number} depth - how many callbacks deep the check being generated is, so parameter names don't clash
+ */
+
+/**
+ * Get the name of a generated guard function for a type alias
+ * @param {String} prefix - what the function does, either "is" or "assert"
+ * @param {String} qualifiedName - qualified name of the type alias
+ * @returns {String} name of the guard function
+ */
+const getGuardName = (prefix, qualifiedName) => `${prefix}${qualifiedName.split(".").map((part) => `${part.charAt(0).toUpperCase()}${part.slice(1)}`).join("")}`;
+
+/**
+ * Print a literal type's value as a JavaScript expression
+ * @param {ts.LiteralTypeNode["literal"]} literal - the literal to print
+ * @returns {String} the literal as a JavaScript expression
+ */
+const printLiteral = (literal) => (
+    ts.isStringLiteral(literal) || ts.isNoSubstitutionTemplateLiteral(literal) ? JSON.stringify(literal.text) :
+    ts.isPrefixUnaryExpression(literal) ? `-${literal.operand.text}` :
+    ts.isNumericLiteral(literal) || ts.isBigIntLiteral(literal) ? literal.text :
+    literal.getText()
+);
+
+/**
+ * Get the expression for accessing a property of a value
+ * @param {String} value - the expression for the value
+ * @param {String} name - name of the property
+ * @returns {String} the expression for the property
+ */
+const printAccess = (value, name) => (/^[A-Za-z_$][\w$]*$/.test(name) ? `${value}.${name}` : `${value}[${JSON.stringify(name)}]`);
+
+/**
+ * Generate a check that a value is an array, and that every item in it passes the check for a type
+ * @param {ts.TypeNode} [type] - the type of the array's items
+ * @param {String} value - the expression for the value being checked
+ * @param {GuardContext} context - what's needed to generate checks for the type alias
+ * @returns {String} the generated check
+ */
+const generateArrayCheck = (type, value, context) => {
+    const check = generateCollectionCheck(type, context);
+    return check ? `Array.isArray(${value}) && ${value}.every(${check})` : `Array.isArray(${value})`;
+};
+
+/**
+ * Generate a callback that checks each item of a collection, if the items need checking at all
+ * @param {ts.TypeNode} [type] - the type of the collection's items
+ * @param {GuardContext} context - what's needed to generate checks for the type alias
+ * @returns {String|undefined} the generated callback, if the items could be anything
+ */
+const generateCollectionCheck = (type, context) => {
+    const item = `item${context.depth++}`;
+    const check = generateTypeCheck(type, item, context);
+    
+    context.depth--;
+    
+    return check !== "true" ? `(${item}) => ${check}` : undefined;
+};
+
+/**
+ * Generate checks that a value is an object, and that each of its properties pass the checks for their types
+ * @param {ts.TypeLiteralNode} node - the object type to check for
+ * @param {String} value - the expression for the value being checked
+ * @param {GuardContext} context - what's needed to generate checks for the type alias
+ * @returns {String[]} the generated checks, which all need to pass
+ */
+const generateObjectChecks = (node, value, context) => {
+    const [index] = node.members.filter(ts.isIndexSignatureDeclaration);
+    const values = index && generateCollectionCheck(index.type, context);
+    
+    return [
+        `typeof ${value} === "object" && ${value} !== null`,
+        ...node.members.filter((member) => ts.isPropertySignature(member) || ts.isMethodSignature(member)).map((member) => {
+            const access = printAccess(value, member.name.getText().replaceAll(/^["']|["']$/g, ""));
+            const check = ts.isMethodSignature(member) ? `typeof ${access} === "function"` : generateTypeCheck(member.type, access, context);
+            
+            // Optional properties can be left out, but must be the right type if they aren't
+            return member.questionToken && check !== "true" ? `(${access} === undefined || ${check})` : check;
+        }).filter((check) => check !== "true"),
+        ...(values ? [`Object.values(${value}).every(${values})`] : [])
+    ];
+};
+
+/**
+ * Generate a check that a value matches a type
+ * @param {ts.TypeNode} [node] - the type to check for
+ * @param {String} value - the expression for the value being checked
+ * @param {GuardContext} context - what's needed to generate checks for the type alias
+ * @returns {String} the generated check
+ */
+const generateTypeCheck = (node, value, context) => {
+    const check = (node, value) => generateTypeCheck(node, value, context);
+    
+    if (!node) return "true";
+    if (keywordChecks.has(node.kind)) return keywordChecks.get(node.kind)(value);
+    if (ts.isParenthesizedTypeNode(node) || ts.isTypeOperatorNode(node)) return check(node.type, value);
+    if (ts.isLiteralTypeNode(node)) return `${value} === ${printLiteral(node.literal)}`;
+    if (ts.isTemplateLiteralTypeNode(node)) return `typeof ${value} === "string"`;
+    if (ts.isFunctionTypeNode(node) || ts.isConstructorTypeNode(node)) return `typeof ${value} === "function"`;
+    if (ts.isArrayTypeNode(node)) return generateArrayCheck(node.elementType, value, context);
+    if (ts.isTypeLiteralNode(node)) return `(${generateObjectChecks(node, value, context).join(" && ")})`;
+    if (ts.isIntersectionTypeNode(node)) return `(${node.types.map((type) => check(type, value)).join(" && ")})`;
+    
+    if (ts.isUnionTypeNode(node)) {
+        // Unions of literal values, such as those generated from enums, are checked all at once
+        if (node.types.every(ts.isLiteralTypeNode)) return `[${node.types.map(({literal}) => printLiteral(literal)).join(", ")}].includes(${value})`;
+        
+        const checks = node.types.map((type) => check(type, value));
+        return checks.includes("true") ? "true" : `(${checks.join(" || ")})`;
+    }
+    
+    if (ts.isTupleTypeNode(node)) {
+        const elements = node.elements.map((element) => (ts.isNamedTupleMember(element) ? {
+            type: element.type, optional: !!element.questionToken, rest: !!element.dotDotDotToken
+        } : {
+            type: ts.isOptionalTypeNode(element) || ts.isRestTypeNode(element) ? element.type : element, optional: ts.isOptionalTypeNode(element), rest: ts.isRestTypeNode(element)
+        }));
+        // Rest elements make the length of a tuple open-ended, so check the elements before them individually, and the rest all at once
+        const rest = elements.find(({rest}) => rest);
+        const fixed = rest ? elements.slice(0, elements.indexOf(rest)) : elements;
+        const required = fixed.filter(({optional}) => !optional).length;
+        const items = rest && ts.isArrayTypeNode(rest.type) ? generateCollectionCheck(rest.type.elementType, context) : undefined;
+        
+        return `(${[
+            `Array.isArray(${value})`,
+            rest ? `${value}.length >= ${required}` : (required === fixed.length ? `${value}.length === ${required}` : `${value}.length >= ${required} && ${value}.length <= ${fixed.length}`),
+            ...fixed.map(({type, optional}, index) => ((check) => (optional && check !== "true" ? `(${value}.length <= ${index} || ${check})` : check))(check(type, `${value}[${index}]`))).filter((check) => check !== "true"),
+            ...(items ? [`${value}.slice(${fixed.length}).every(${items})`] : [])
+        ].join(" && ")})`;
+    }
+    
+    if (ts.isTypeReferenceNode(node)) {
+        const name = node.typeName.getText();
+        const qualifiedName = !context.typeParameters.has(name) ? resolveAliasName(context.aliases, name, context.scope) : undefined;
+        const [first, second] = node.typeArguments ?? [];
+        
+        // Type aliases have guards of their own...
+        if (qualifiedName) {
+            context.referenced.add(qualifiedName);
+            return `${getGuardName("is", qualifiedName)}(${value})`;
+        }
+        
+        // ...while arrays, objects, and instances of global constructors can be checked in place
+        if (name === "Array" || name === "ReadonlyArray") return generateArrayCheck(first, value, context);
+        if (name === "Function") return `typeof ${value} === "function"`;
+        if (globalConstructors.has(name)) return `${value} instanceof ${name}`;
+        if (name === "Object" || name === "Record") {
+            const values = second && generateCollectionCheck(second, context);
+            return `(typeof ${value} === "object" && ${value} !== null${values ? ` && Object.values(${value}).every(${values})` : ""})`;
+        }
+    }
+    
+    // Anything else, like type parameters and class instances, can't be checked without knowing more
+    return "true";
+};
+
+/**
+ * Generate the is and assert guard functions for a type alias
+ * @param {String} qualifiedName - qualified name of the type alias
+ * @param {Map<String, {node: ts.TypeAliasDeclaration, scope: String[]}>} aliases - every type alias, keyed by qualified name
+ * @param {Set<String>} referenced - where to save qualified names of any other type aliases the guards reference
+ * @param {String} moduleName - name of the module the type alias is declared by
+ * @returns {String} source code of the guard functions
+ */
+const generateGuards = (qualifiedName, aliases, referenced, moduleName) => {
+    const {node, scope} = aliases.get(qualifiedName);
+    const context = {aliases, scope, typeParameters: new Set(node.typeParameters?.map(({name}) => name.text)), referenced, depth: 0};
+    // Object types get a check per line, since they're likely to have a lot of them
+    const checks = ts.isTypeLiteralNode(node.type) ? generateObjectChecks(node.type, "value", context) : [generateTypeCheck(node.type, "value", context)];
+    const type = `import(${JSON.stringify(moduleName)}).${qualifiedName}${node.typeParameters?.length ? `<${node.typeParameters.map(() => "any").join(", ")}>` : ""}`;
+    
+    return [
+        "/**",
+        ` * Check whether a value is a valid ${qualifiedName}`,
+        " * @param {*} value - the value to check",
+        ` * @returns {value is ${type}} whether the value is a valid ${qualifiedName}`,
+        " */",
+        `export function ${getGuardName("is", qualifiedName)}(value) {`,
+        `    return ${checks.join("\n        && ")};`,
+        "}",
+        "",
+        "/**",
+        ` * Make sure a value is a valid ${qualifiedName}`,
+        " * @param {*} value - the value to check",
+        " * @param {String} [name=\"value\"] - what to call the value when it isn't valid",
+        ` * @returns {asserts value is ${type}}`,
+        ` * @throws {TypeError} when the value is not a valid ${qualifiedName}`,
+        " */",
+        `export function ${getGuardName("assert", qualifiedName)}(value, name = "value") {`,
+        `    if (!${getGuardName("is", qualifiedName)}(value)) throw new TypeError(\`Invalid \${name}, expected a valid ${qualifiedName}\`);`,
+        "}"
+    ].join("\n");
+};
+
+/**
+ * Generate a standalone JavaScript module of runtime guards for type definitions in a generated ambient declaration file
+ * @param {String} text - contents of the generated declaration file, declaring all modules as ambient modules
+ * @param {String} moduleName - name of the module primarily being declared for the library
+ * @param {String[]} names - qualified names of the type definitions to generate guards for
+ * @returns {String} source code of the guard module
+ * @throws {Error} when no type definition with one of the given names was declared
+ */
+export const generateGuardModule = (text, moduleName, names) => {
+    const sourceFile = ts.createSourceFile(`${moduleName}.d.ts`, text, ts.ScriptTarget.Latest, true, ts.ScriptKind.TS);
+    const module = sourceFile.statements.find((node) => ts.isModuleDeclaration(node) && ts.isStringLiteral(node.name) && node.name.text === moduleName);
+    const aliases = collectTypeAliases(module?.body?.statements ?? []);
+    const unknown = names.find((name) => !aliases.has(name));
+    
+    if (unknown) throw new Error(`Unable to generate validators for '${unknown}', no type definition with that name was declared`);
+    
+    // Guards reference the guards of any other type aliases used in their types, so make sure those get generated too
+    const referenced = new Set(names);
+    const guards = [];
+    
+    for (let qualifiedName of referenced) guards.push(generateGuards(qualifiedName, aliases, referenced, moduleName));
+    
+    return [`// Generated by ostensibly-typed from type definitions declared by "${moduleName}", do not edit`, ...guards].join("\n\n").concat("\n");
+};
@@ -0,0 +1,273 @@
+import ts from "typescript";
+import {resolveAssignedMembers, resolveDeclaredNames, resolveObjectLiteral} from "./parse.js";
+import {filterMembers} from "./filter.js";
+import {generateClassMemberTypes, generateTypeDeclaration, generateValueType} from "./generate.js";
+
+/**
+ * Links from model entries back to the analysed structures they were created from, so the printer can consume the model
+ * @type {WeakMap<Object, *>}
+ */
+const origins = new WeakMap();
+
+/**
+ * What kind of declaration a model member describes
+ * @typedef {"namespace"|"class"|"function"|"constant"|"typedef"|"callback"|"enum"} ApiMemberKind
+ */
+
+/**
+ * What kind of class member a model class member describes
+ * @typedef {"constructor"|"property"|"method"|"getter"|"setter"} ApiClassMemberKind
+ */
+
+/**
+ * Where a declaration was found in the JavaScript sources
+ * @typedef {Object} ApiSourceLocation
+ * @prop {String} file - name of the source file
+ * @prop {Number} line - one-based line number of the declaration
+ * @prop {Number} column - one-based column number of the declaration
+ */
+
+/**
+ * A JSDoc tag documenting a declaration
+ * @typedef {Object} ApiTag
+ * @prop {String} name - name of the tag, without the leading "@"
+ * @prop {String} [text] - any comment text of the tag
+ */
+
+/**
+ * A documented member of a class in the model
+ * @typedef {Object} ApiClassMember
+ * @prop {String} name - name of the class member
+ * @prop {ApiClassMemberKind} kind - what kind of class member it is
+ * @prop {Boolean} static - whether the member belongs to the class itself, instead of its instances
+ * @prop {String} [type] - the type of the member, as declared in the type definition file
+ * @prop {String} [comment] - the member's documentation comment
+ * @prop {ApiTag[]} tags - any JSDoc tags documenting the member
+ * @prop {ApiSourceLocation} [source] - where the member was declared
+ */
+
+/**
+ * A declaration in the model, and any declarations namespaced under it
+ * @typedef {Object} ApiMember
+ * @prop {String} name - name of the declaration
+ * @prop {String} qualifiedName - dot-separated name of the declaration, including any namespaces it belongs to
+ * @prop {ApiMemberKind} kind - what kind of declaration it is
+ * @prop {Boolean} exported - whether the declaration is exported from its namespace, instead of being marked private
+ * @prop {String} [type] - the type of the declaration, as declared in the type definition file
+ * @prop {String} [extends] - the type a class declaration extends, if any
+ * @prop {String} [comment] - the declaration's documentation comment
+ * @prop {ApiTag[]} tags - any JSDoc tags documenting the declaration
+ * @prop {ApiSourceLocation} [source] - where the declaration was found
+ * @prop {ApiClassMember[]} [classMembers] - documented members of a class declaration
+ * @prop {ApiMember[]} members - any declarations namespaced under this one
+ */
+
+/**
+ * An external module imported in type annotations
+ * @typedef {Object} ApiImport
+ * @prop {String} module - name of the external module
+ * @prop {String[]} names - what the external module's default export is imported as
+ * @prop {String[]} [requires] - what the whole external module is required as, by CommonJS modules
+ * @prop {{name: String, alias?: String}[]} bindings - any members of the external module that are imported directly
+ */
+
+/**
+ * Serialisable model of the API surface discovered in a JavaScript library's sources
+ * @typedef {Object} ApiModel
+ * @prop {String} moduleName - name of the module primarily being declared for the library
+ * @prop {String} defaultExport - name of the default export of the primary module declaration
+ * @prop {Boolean} exportAssignment - whether the default export is assigned to "module.exports", so the primary module should be declared with an export assignment
+ * @prop {{name: String, namespace: String}[]} modules - other modules declared by the library, and the namespaces they export
+ * @prop {ApiImport[]} imports - external modules imported in type annotations
+ * @prop {{names: String[], source?: ApiSourceLocation}[]} exports - members of external modules that are re-exported by entry files
+ * @prop {{name: String, className: String}[]} elements - custom elements defined by the library, and the qualified names of the classes that implement them
+ * @prop {ApiMember[]} members - all declarations in the library, structured by namespace
+ * @prop {{name: String, members: ApiMember[]}[]} entryPoints - values exported by entry points with their own type definition files, which are only declared there
+ */
+
+/**
+ * Shared printer for writing resolved type nodes out as text
+ * @type {ts.Printer}
+ */
+const printer = ts.createPrinter({removeComments: true});
+
+/**
+ * Print a generated type node as text on a single line
+ * @param {ts.TypeNode} [node] - the type node to print
+ * @returns {String|undefined} the printed type
+ */
+const printType = (node) => node ? printer.printNode(ts.EmitHint.Unspecified, node, ts.createSourceFile("", "", ts.ScriptTarget.Latest))
+    // Generated type literals carry documentation comments for their members, which don't belong in the text of the type
+    .replaceAll(/\/\*\*[\s\S]*?\*\//g, "").replaceAll(/\s+/g, " ") : undefined;
+
+/**
+ * Resolve where a node was found in the JavaScript sources
+ * @param {ts.Node} [node] - the node to locate
+ * @returns {ApiSourceLocation|undefined} the location of the node, if it came from a source file
+ */
+const resolveLocation = (node) => {
+    // Synthesised nodes have no position, and virtual tags are parsed from nameless files, so neither can be found in a file
+    const sourceFile = node?.pos >= 0 ? node.getSourceFile?.() : undefined;
+    
+    if (sourceFile?.fileName && sourceFile.fileName !== ".js") {
+        const {line, character} = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile));
+        return {file: sourceFile.fileName, line: line + 1, column: character + 1};
+    }
+};
+
+/**
+ * Resolve the documentation comment and tags of a JSDoc comment
+ * @param {ts.JSDoc} [doc] - the JSDoc comment to resolve documentation from
+ * @returns {{comment?: String, tags: ApiTag[]}} the documentation comment, and any tags
+ */
+const resolveDocumentation = (doc) => ({
+    ...(doc?.comment ? {comment: ts.getTextOfJSDocComment(doc.comment)} : {}),
+    tags: (doc?.tags ?? []).map(({tagName, comment}) => ({name: tagName.escapedText, ...(comment ? {text: ts.getTextOfJSDocComment(comment)} : {})}))
+});
+
+/**
+ * Work out what kind of declaration a namespace member is
+ * @param {import("./generate.js").NamespaceMember} member - the namespace member to work out the kind of
+ * @returns {ApiMemberKind} what kind of declaration the namespace member is
+ */
+const resolveMemberKind = ({type, node}) => (
+    !node ? "namespace" :
+    ts.isJSDocCallbackTag(node) ? "callback" :
+    ts.isJSDocEnumTag(node) ? "enum" :
+    !type ? "typedef" :
+    ts.isClassDeclaration(node) ? "class" :
+    ts.getJSDocTypeTag(node) ? "constant" :
+    (ts.isFunctionLike(node) || (node.initializer && ts.isFunctionLike(node.initializer))) ? "function" :
+    resolveObjectLiteral(node.initializer) ? "namespace" : "constant"
+);
+
+/**
+ * Create model entries for the documented members of a class
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.ClassDeclaration} node - the class to create member entries for
+ * @param {import("./generate.js").MemberType} type - whether the class is marked as a namespace or a plain class
+ * @param {Map<String, import("./generate.js").NamespaceMember>} namespaces - where to source inherited declaration details from
+ * @returns {ApiClassMember[]} model entries for the class members that would be declared
+ */
+const createClassMembers = (checker, node, type, namespaces) => {
+    const types = generateClassMemberTypes(checker, node, type, namespaces);
+    // Members are typed exactly as they're declared, so the model always agrees with the type definition file
+    const resolveType = (name, isStatic) => ((declared) => (declared ? {type: printType(declared)} : {}))(types.get(`${isStatic ? "static " : ""}${name}`));
+    
+    return filterMembers(type, node.members).filter((member) => !ts.isClassStaticBlockDeclaration(member) && !ts.isSemicolonClassElement(member)).map((member) => {
+        const name = ts.isConstructorDeclaration(member) ? "constructor" : member.name?.text ?? member.name?.escapedText;
+        const isStatic = !!member.modifiers?.some(({kind}) => kind === ts.SyntaxKind.StaticKeyword);
+        
+        return {
+            name, kind: ts.isConstructorDeclaration(member) ? "constructor" : ts.isGetAccessor(member) ? "getter" : ts.isSetAccessor(member) ? "setter" : ts.isMethodDeclaration(member) ? "method" : "property",
+            static: isStatic,
+            ...(!ts.isConstructorDeclaration(member) ? resolveType(name, isStatic) : {}),
+            ...resolveDocumentation(ts.getJSDocCommentsAndTags(member).filter(ts.isJSDoc).pop()),
+            ...(resolveLocation(member) ? {source: resolveLocation(member)} : {})
+        };
+    }).concat(resolveAssignedMembers(node).map(({name, isStatic, target, value, source}) => ({
+        // Members assigned after the class was declared are declared the same way, as methods if they were assigned functions
+        name, kind: ts.isFunctionLike(value) && !ts.getJSDocTypeTag(target) ? "method" : "property", static: isStatic,
+        ...resolveType(name, isStatic),
+        ...resolveDocumentation(source.jsDoc.at(-1)),
+        ...(resolveLocation(source) ? {source: resolveLocation(source)} : {})
+    })));
+};
+
+/**
+ * Create model entries for namespace members, and any members namespaced under them
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {Map<String, import("./generate.js").NamespaceMember>} members - the namespace members to create entries for
+ * @param {String[]} [path=[]] - names of the namespaces the members belong to
+ * @param {Map<String, import("./generate.js").NamespaceMember>} [namespaces=members] - the top-level set of namespace members, for sourcing inherited declaration details
+ * @returns {ApiMember[]} model entries for the namespace members
+ */
+const createMembers = (checker, members, path = [], namespaces = members) => Array.from(members ?? [], ([name, member]) => {
+    const {type, node, source} = member;
+    const kind = resolveMemberKind(member);
+    // Type definitions are documented by the comment they were declared in, everything else by its own comment
+    const doc = node && !type ? node.parent : node && ts.getJSDocCommentsAndTags(node).filter(ts.isJSDoc).pop();
+    const entry = {
+        name, qualifiedName: [...path, name].join("."), kind,
+        exported: !(type ? ts.getAllJSDocTags(node, ts.isJSDocPrivateTag).length : doc?.tags?.some(ts.isJSDocPrivateTag)),
+        ...(["typedef", "callback", "enum"].includes(kind) ? {type: printType(generateTypeDeclaration(checker, node, source))} : {}),
+        // Values are typed exactly as they're declared, so the model always agrees with the type definition file
+        ...(["function", "constant"].includes(kind) ? {type: printType(generateValueType(checker, node, name, namespaces))} : {}),
+        ...(kind === "class" && node.heritageClauses?.length ? {extends: node.heritageClauses.find(({token}) => token === ts.SyntaxKind.ExtendsKeyword)?.types[0]?.getText()} : {}),
+        ...resolveDocumentation(ts.isJSDoc(doc ?? {}) ? doc : undefined),
+        ...(resolveLocation(node?.pos >= 0 ? node : source) ? {source: resolveLocation(node?.pos >= 0 ? node : source)} : {}),
+        ...(kind === "class" ? {classMembers: createClassMembers(checker, node, type, namespaces)} : {}),
+        members: createMembers(checker, member.members, [...path, name], namespaces)
+    };
+    
+    // Remember which namespace member the entry came from, without making it part of the serialised model
+    origins.set(entry, {type, node, source});
+    
+    return entry;
+});
+
+/**
+ * Create a serialisable model of the API surface discovered while walking a library's sources
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {Object} content - everything discovered while walking the library's sources
+ * @param {String} content.moduleName - name of the module primarily being declared for the library
+ * @param {String} content.defaultExport - name of the default export of the primary module declaration
+ * @param {Boolean} [content.exportAssignment=false] - whether the default export is assigned to "module.exports" by a CommonJS entry file
+ * @param {Map<String, import("./generate.js").ModuleImport>} content.imports - external modules imported in type annotations
+ * @param {Set<ts.ExportDeclaration>} content.exports - external module members that are re-exported by entry files
+ * @param {Map<String, String>} content.modules - other modules declared by the library, and the namespaces they export
+ * @param {Map<String, ts.ClassDeclaration>} [content.elements] - custom elements defined by the library, and the classes that implement them
+ * @param {Map<String, import("./generate.js").NamespaceMember>} content.namespaces - all declarations in the library, structured by namespace
+ * @param {Map<String, Map<String, import("./generate.js").NamespaceMember>>} [content.entryPoints] - values exported by entry points with their own type definition files, keyed by entry point name
+ * @returns {ApiModel} the serialisable model
+ */
+export const createApiModel = (checker, {moduleName, defaultExport, exportAssignment = false, imports, exports, modules, elements = new Map(), namespaces, entryPoints = new Map()}) => ({
+    moduleName, defaultExport, exportAssignment,
+    modules: Array.from(modules, ([name, namespace]) => ({name, namespace})),
+    imports: Array.from(imports, ([module, {names, bindings, requires}]) => ({
+        module, names: [...names],
+        bindings: Array.from(bindings, (binding) => binding.split(",")).map(([name, alias]) => ({name, ...(alias ? {alias} : {})})),
+        ...(requires?.size ? {requires: [...requires]} : {})
+    })),
+    exports: Array.from(exports, (node) => ((entry) => (origins.set(entry, node), entry))({
+        names: (node.exportClause?.elements ?? []).map(({name}) => name.escapedText),
+        ...(resolveLocation(node) ? {source: resolveLocation(node)} : {})
+    })),
+    // Custom elements can only be typed by classes that actually get declared
+    elements: ((declared) => Array.from(elements, ([name, node]) => ({name, className: declared.get(node)})).filter(({className}) => !!className))(resolveDeclaredNames(namespaces)),
+    members: createMembers(checker, namespaces),
+    entryPoints: Array.from(entryPoints, ([name, members]) => ({name, members: createMembers(checker, members, [], namespaces)}))
+});
+
+/**
+ * Rebuild namespace members from model entries, so declarations can be generated from them
+ * @param {ApiMember[]} members - model entries to rebuild namespace members from
+ * @returns {Map<String, import("./generate.js").NamespaceMember>} the rebuilt namespace members
+ */
+const resolveMembers = (members) => new Map(members.map((entry) => {
+    const {type, node, source} = origins.get(entry) ?? {};
+    
+    return [entry.name, {
+        ...(type ? {type} : {}), ...(node ? {node} : {}), ...(source ? {source} : {}),
+        members: resolveMembers(entry.members ?? [])
+    }];
+}));
+
+/**
+ * Resolve the contents of declaration files from a model, linking its entries back to the sources they were discovered in
+ * @param {ApiModel} model - the model to resolve declaration file contents from
+ * @returns {{moduleName: String, defaultExport: String, exportAssignment: Boolean, imports: Map, exports: Set, modules: Map, elements: Map, namespaces: Map, entryPoints: Map}} contents of the declaration files
+ */
+export const resolveModelContent = ({moduleName, defaultExport, exportAssignment = false, imports, exports, modules, elements = [], members, entryPoints = []}) => ({
+    moduleName, defaultExport, exportAssignment,
+    imports: new Map(imports.map(({module, names, bindings, requires = []}) => [module, {
+        names: new Set(names),
+        bindings: new Set(bindings.map(({name, alias}) => [name, alias].filter((s) => !!s).join(","))),
+        requires: new Set(requires)
+    }])),
+    exports: new Set(exports.map((entry) => origins.get(entry)).filter((node) => !!node)),
+    modules: new Map(modules.map(({name, namespace}) => [name, namespace])),
+    elements: new Map(elements.map(({name, className}) => [name, className])),
+    namespaces: resolveMembers(members),
+    entryPoints: new Map(entryPoints.map(({name, members}) => [name, resolveMembers(members)]))
+});
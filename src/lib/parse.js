@@ -1,5 +1,6 @@
 import ts from "typescript";
-import {isJSDocAbstractTag, isJSDocInternalTag, isJSDocPropertyTag, isJSDocTypeParamTag, isStaticModifier} from "./filter";
+import {isCommonJSExportsObject, isCommonJSModuleExports, isCustomElementDefinition, isExplicitAnyType, isRequireCall, isMixinFactory, isJSDocAbstractTag, isJSDocAttributeTag, isJSDocElementTag, isJSDocEventTag, isJSDocFiresTag, isJSDocInternalTag, isJSDocPropertyTag, isJSDocTypeAnnotationTag, isJSDocTypeParamTag, isStaticModifier} from "./filter";
+import {getSourceText, reportDiagnostic} from "./report.js";
 
 /**
  * Traverse to a given namespace in a map, then take some kind of action
@@ -96,21 +97,25 @@ export const resolveUnderstructuredTags = (tags, name) => tags.filter((tag) => !
  * Extract any type definitions, callbacks, or class method types hiding in JSDoc comments
  * @param {ts.TypeChecker} checker - the TypeScript program's type checker
  * @param {ts.Node} node - any node from the AST that may contain implicit type definitions
- * @param {Map} namespaces - where these implicit types should be registered
+ * @returns {((namespaces: Map) => void)[]} writes that register each implicit type in a namespace structure, in the order they were found
  */
-export const resolveImplicitTypeDefs = (checker, node, namespaces) => {
+export const resolveImplicitTypeDefs = (checker, node) => {
+    const writes = [];
+    
     for (let doc of (node.jsDoc ?? [])) {
         // Grab any JSDoc annotations that are probably type declarations...
         for (let tag of (doc.tags ?? []).filter((t) => ts.isJSDocCallbackTag(t) || ts.isJSDocTypedefTag(t) || ts.isJSDocEnumTag(t))) {
             // ...but only if they aren't internal
             if (!doc.tags.some(isJSDocInternalTag)) {
                 // Then, find their parent namespace...
-                if (tag.comment) findNamespaces(getNamespaceNameForTag(tag) || tag.comment.replace(/~.*$/, "") || checker.typeToString(checker.getTypeFromTypeNode(tag.typeExpression.type)), namespaces)
+                if (tag.comment) {
+                    const name = getNamespaceNameForTag(tag) || tag.comment.replace(/~.*$/, "") || checker.typeToString(checker.getTypeFromTypeNode(tag.typeExpression.type));
                     // ...and save them for later!
-                    ?.members?.set(tag.comment.replace(/^.*?~/, ""), {node: tag, source: node});
+                    writes.push((namespaces) => findNamespaces(name, namespaces)?.members?.set(tag.comment.replace(/^.*?~/, ""), {node: tag, source: node}));
+                }
                 // If no comment, consider the type expression instead
                 else if (tag.typeExpression)
-                    findNamespaces(getNamespaceNameForTag(tag), namespaces, null, () => ({node: tag, source: node}));
+                    writes.push((namespaces) => findNamespaces(getNamespaceNameForTag(tag), namespaces, null, () => ({node: tag, source: node})));
             }
         }
         
@@ -122,11 +127,8 @@ export const resolveImplicitTypeDefs = (checker, node, namespaces) => {
         
         // If so, and it's not marked as private, it's probably an implicit callback type declaration
         if (hasTemplates && (hasTypeParams || doc.tags.some(isJSDocAbstractTag)) && !(doc.tags.some(ts.isJSDocPrivateTag) || ts.isPrivateIdentifier(node.name))) {
-            // Find the parent namespace so we can save the declaration for later!
-            const target = findNamespaces(node.parent, namespaces, ["namespace", "alias"])?.members;
-            
             // Only build the callback type declaration if we really must.
-            if ((isStatic || hasTypeParams) && !target?.has(node.name.escapedText)) {
+            if (isStatic || hasTypeParams) {
                 // Get template tags, then get typeParams that aren't declared by the parent
                 const templates = (!(isStatic || hasTypeParams) ? doc.tags.filter(ts.isJSDocTemplateTag) : resolveVirtualTags("template", doc.tags.filter(isJSDocTypeParamTag)))?.flatMap(({typeParameters}) => typeParameters);
                 const typeParams = templates?.filter(({name}) => !node.parent?.locals?.has(name?.escapedText));
@@ -143,11 +145,454 @@ export const resolveImplicitTypeDefs = (checker, node, namespaces) => {
                 const locals = (isStatic ? node.locals : new Map([...(node?.parent?.locals?.entries() ?? [])]
                     .filter(([name]) => localTypes.includes(name) && !templates?.some(({name: {escapedText}}) => name === escapedText))));
                 
-                // Save the declaration for later!
-                target?.set(node.name.escapedText, {node: Object.assign(tag, {locals, parent}), source: node});
+                // Find the parent namespace so we can save the declaration for later, unless it already has a member with the same name!
+                writes.push((namespaces) => {
+                    const target = findNamespaces(node.parent, namespaces, ["namespace", "alias"])?.members;
+                    if (!target?.has(node.name.escapedText)) target?.set(node.name.escapedText, {node: Object.assign(tag, {locals, parent}), source: node});
+                });
             }
         }
     }
+    
+    return writes;
+};
+
+/**
+ * An event dispatched by a class, as documented by event and fires tags
+ * @typedef {Object} ClassEvent
+ * @prop {ts.TypeNode} [type] - type of the dispatched event, from the type tag following the event's event tag
+ * @prop {ts.JSDoc} [doc] - the comment containing the event's event tag, describing the event
+ */
+
+/**
+ * Resolve every event a class dispatches, from event and fires tags anywhere in its source file that name the class, or unqualified tags in its own comments
+ * @param {ts.ClassDeclaration} node - the class to resolve events for
+ * @returns {Map<String, ClassEvent>} the type and documentation of each event, keyed by event name
+ */
+export const resolveClassEvents = (node) => {
+    const names = new Set([node.name?.escapedText, ...ts.getAllJSDocTags(node, ({tagName: {escapedText}, comment}) => ["namespace", "alias"].includes(escapedText) && !!comment)
+        .map(({comment}) => ts.getTextOfJSDocComment(comment).split(".").pop())]);
+    const docs = new Set([node, ...node.members].flatMap(({jsDoc}) => jsDoc ?? []));
+    const events = new Map();
+    
+    ts.forEachChild(node.getSourceFile(), function visitor(child) {
+        for (let doc of child.jsDoc ?? []) for (let [index, tag] of (doc.tags ?? []).entries()) if (isJSDocEventTag(tag) || isJSDocFiresTag(tag)) {
+            // Event names may be qualified by the class that dispatches them, e.g. "SomeClass#event:change"
+            const [, owner, name] = /^(?:(\S*?)#)?(?:event:)?(\S+)/.exec(ts.getTextOfJSDocComment(tag.comment) ?? "") ?? [];
+            
+            // Unqualified events belong to the class whose comments they appear in
+            if (name && (owner ? names.has(owner.split(".").pop()) : docs.has(doc))) {
+                const following = doc.tags.slice(index + 1);
+                const end = following.findIndex(isJSDocTypeAnnotationTag);
+                // Only event tags describe the event, using any type tag before the next event or type definition
+                const {type, doc: described} = isJSDocEventTag(tag) ? {type: (end < 0 ? following : following.slice(0, end)).find(ts.isJSDocTypeTag)?.typeExpression?.type, doc} : {};
+                
+                events.set(name, {type: type ?? events.get(name)?.type, doc: described ?? events.get(name)?.doc});
+            }
+        }
+        
+        ts.forEachChild(child, visitor);
+    });
+    
+    return events;
+};
+
+/**
+ * Resolve the attributes a custom element class documents, as property tags of a virtual type definition
+ * @param {ts.ClassDeclaration} node - the class to resolve attributes for
+ * @returns {ts.JSDocPropertyTag[]} a property tag describing each attribute, from attr and attribute tags in the class's comments
+ */
+export const resolveElementAttributes = (node) => resolveVirtualTags("prop", ts.getAllJSDocTags(node, isJSDocAttributeTag))
+    .flatMap(({typeExpression}) => typeExpression?.jsDocPropertyTags ?? []);
+
+/**
+ * Resolve the tag name of a custom element, and the class that implements it
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.Node} node - a call to "customElements.define", or a class with an element or customElement tag
+ * @returns {[String, ts.ClassDeclaration]|undefined} the element's tag name and class declaration, if the node defines a custom element
+ */
+export const resolveCustomElement = (checker, node) => {
+    // Elements defined in the custom element registry are implemented by whichever class was passed in...
+    if (isCustomElementDefinition(node)) {
+        const [{text}, constructor] = node.arguments;
+        const symbol = checker.getSymbolAtLocation(constructor);
+        const declaration = (symbol && symbol.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(symbol) : symbol)?.declarations?.find(ts.isClassDeclaration);
+        
+        if (declaration) return [text, declaration];
+    }
+    // ...while tagged elements are implemented by the tagged class
+    else if (ts.isClassDeclaration(node)) {
+        const [name] = ts.getTextOfJSDocComment(ts.getAllJSDocTags(node, isJSDocElementTag).shift()?.comment)?.trim().split(/\s+/) ?? [];
+        
+        if (name) return [name, node];
+    }
+};
+
+/**
+ * Resolve the class a mixin factory function returns, either directly or by name from the function's body
+ * @param {ts.SignatureDeclaration} node - the mixin factory function
+ * @returns {ts.ClassLikeDeclaration|undefined} the class expression or declaration the mixin factory returns, if it could be found
+ */
+export const resolveMixinClass = (node) => {
+    let expression = node.body && (ts.isBlock(node.body) ? node.body.statements.find(ts.isReturnStatement)?.expression : node.body);
+    
+    while (expression && ts.isParenthesizedExpression(expression)) expression = expression.expression;
+    
+    // Classes can be returned as class expressions, or declared first and then returned by name
+    return expression && (ts.isClassExpression(expression) ? expression : (ts.isIdentifier(expression) && ts.isBlock(node.body)
+        ? node.body.statements.find((statement) => ts.isClassDeclaration(statement) && statement.name?.escapedText === expression.escapedText) : undefined));
+};
+
+/**
+ * Unwrap any mixin factories applied to the base class in a class's extends clause, e.g. "Foo(Bar(HTMLElement))"
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.Expression} node - the expression of the extends clause
+ * @returns {{mixins: ts.Expression[], base: ts.Expression}} references to each applied mixin factory, outermost first, and the base class they were applied to
+ */
+export const resolveMixinApplication = (checker, node) => {
+    const mixins = [];
+    
+    while (ts.isCallExpression(node) && node.arguments.length && isMixinFactory(checker, node.expression)) {
+        mixins.push(node.expression);
+        node = node.arguments[0];
+    }
+    
+    return {mixins, base: node};
+};
+
+/**
+ * Resolve the object literal expression assigned to a value, unwrapping any calls to Object.freeze
+ * @param {ts.Expression} [node] - the initializer of a variable declaration or property assignment
+ * @returns {ts.ObjectLiteralExpression|undefined} the assigned object literal expression, if any
+ */
+export const resolveObjectLiteral = (node) => (node && ts.isCallExpression(node) && ts.isPropertyAccessExpression(node.expression)
+    && node.expression.expression.escapedText === "Object" && node.expression.name.escapedText === "freeze" ? resolveObjectLiteral(node.arguments[0]) : (node && ts.isObjectLiteralExpression(node) ? node : undefined));
+
+/**
+ * A value declaration found in a source file, waiting to be saved to a namespace structure
+ * @typedef {[String, {type?: String, node: ts.Node, source: ts.Node}]} FoundDeclaration - fully qualified name of the value, and details to merge with anything already saved under that name
+ */
+
+/**
+ * Save found value declarations to a namespace structure, merging them with anything already saved under the same names
+ * @param {FoundDeclaration[]} found - value declarations to save, in the order they were found
+ * @param {Map} namespaces - where the value declarations should be registered
+ */
+export const registerDeclarations = (found, namespaces) => {
+    for (let [name, details] of found) findNamespaces(name, namespaces, null, (_, existing = {}) => ({...existing, ...details}));
+};
+
+/**
+ * Find any members of an object literal that should be declared as values of a namespace, recursing into nested object literals
+ * @param {String} name - fully qualified name of the namespace the object literal should be declared as
+ * @param {ts.ObjectLiteralExpression} node - the object literal whose members should be declared
+ * @returns {FoundDeclaration[]} value declarations for each member, each followed by those of its own members
+ */
+const resolveObjectLiteralMembers = (name, node) => node.properties.filter((m) => m.name && (ts.isIdentifier(m.name) || ts.isStringLiteral(m.name)) && !ts.getAllJSDocTags(m, (t) => isJSDocInternalTag(t) || ts.isJSDocPrivateTag(t)).length).flatMap((member) => {
+    const target = `${name}.${member.name.text}`;
+    const literal = !ts.getJSDocTypeTag(member) && resolveObjectLiteral(member.initializer);
+    
+    // Declare the member, then see if it also needs to be treated as a namespace
+    return [[target, {type: "alias", node: member, source: member}], ...(literal ? resolveObjectLiteralMembers(target, literal) : [])];
+});
+
+/**
+ * A keyed member of an enum declared as an object literal
+ * @typedef {Object} EnumMember
+ * @prop {ts.Identifier|ts.StringLiteral} name - name of the member
+ * @prop {ts.StringLiteral|ts.NoSubstitutionTemplateLiteral|ts.NumericLiteral|ts.PrefixUnaryExpression} value - literal value of the member
+ * @prop {ts.PropertyAssignment} source - the property assignment the member was found on
+ */
+
+/**
+ * Resolve the keyed members of an enum declared as an object literal, as long as every member has a literal value
+ * @param {ts.Node} [node] - the variable statement, property assignment, or property declaration the enum tag was found on
+ * @returns {EnumMember[]|undefined} names and values of each member of the enum, if they could all be resolved
+ */
+export const resolveEnumMembers = (node) => {
+    const [declaration] = node && ts.isVariableStatement(node) ? node.declarationList.declarations : [node];
+    const literal = resolveObjectLiteral(declaration?.initializer);
+    const members = literal?.properties.map((source) => ({name: source.name, value: source.initializer, source}));
+    // Only string and number values can be declared as members of a TypeScript enum
+    const isLiteralValue = (value) => !!value && (ts.isStringLiteralLike(value) || ts.isNumericLiteral(value)
+        || (ts.isPrefixUnaryExpression(value) && value.operator === ts.SyntaxKind.MinusToken && ts.isNumericLiteral(value.operand)));
+    
+    if (members?.length && members.every(({name, value, source}) => ts.isPropertyAssignment(source) && (ts.isIdentifier(name) || ts.isStringLiteral(name)) && isLiteralValue(value))) return members;
+};
+
+/**
+ * Find any functions, constants, or object literals that should be declared as values
+ * @param {ts.FunctionDeclaration|ts.VariableStatement} node - top-level statement that may contain value declarations
+ * @param {Boolean} [isEntry=false] - whether the statement belongs to a library entry file, so exported values should also be declared
+ * @param {Boolean} [isNamespaced=true] - whether values with namespace-containing tags should be declared, or only values exported without them
+ * @returns {FoundDeclaration[]} value declarations for each declared value, and any members of declared object literals
+ */
+export const resolveValueDeclarations = (node, isEntry = false, isNamespaced = true) => {
+    const isExported = !!node.modifiers?.some(({kind}) => kind === ts.SyntaxKind.ExportKeyword);
+    const found = [];
+    
+    for (let declaration of (ts.isVariableStatement(node) ? node.declarationList.declarations : [node]).filter(({name}) => name && ts.isIdentifier(name))) {
+        const tags = ts.getAllJSDocTags(declaration, () => true);
+        const [tag] = tags.filter(({tagName: {escapedText} = {}}) => ["namespace", "alias"].includes(escapedText));
+        // Prefer any namespace-containing tags for the name, otherwise only declare values exported from entry files
+        const name = tag ? (isNamespaced ? (tag.comment ?? declaration.name.escapedText) : undefined) : (isEntry && isExported ? declaration.name.escapedText : undefined);
+        
+        const enumTag = !tag ? tags.find((t) => ts.isJSDocEnumTag(t) && !t.comment) : undefined;
+        
+        // Exported enums without a namespace name are declared as types under the name they were exported as...
+        if (name && enumTag && !tags.some(isJSDocInternalTag)) found.push([name, {node: enumTag, source: node}]);
+        // ...but don't declare internal values, or values that are actually type declarations
+        else if (name && !tags.some((t) => isJSDocInternalTag(t) || ts.isJSDocEnumTag(t) || ts.isJSDocTypedefTag(t) || ts.isJSDocCallbackTag(t))) {
+            const literal = !ts.getJSDocTypeTag(declaration) && resolveObjectLiteral(declaration.initializer);
+            
+            // Save the declaration for later, then handle any members if it's an object literal
+            found.push([name, {type: tag?.tagName.escapedText ?? "alias", node: declaration, source: node}]);
+            if (literal) found.push(...resolveObjectLiteralMembers(name, literal));
+        }
+    }
+    
+    return found;
+};
+
+/**
+ * Resolve the left and right sides of a top-level assignment statement
+ * @param {ts.Node} node - the statement that may be an assignment
+ * @returns {{left?: ts.Expression, right?: ts.Expression}} the assigned target and value, if the statement is an assignment
+ */
+const resolveAssignment = (node) => (ts.isExpressionStatement(node) && ts.isBinaryExpression(node.expression) && node.expression.operatorToken.kind === ts.SyntaxKind.EqualsToken ? node.expression : {});
+
+/**
+ * A member assigned to a class after it was declared, either to the class's prototype or to the class itself
+ * @typedef {Object} AssignedMember
+ * @prop {String} name - name of the assigned member
+ * @prop {Boolean} isStatic - whether the member was assigned to the class itself, instead of its prototype
+ * @prop {ts.PropertyAccessExpression} target - what the member was assigned to
+ * @prop {ts.Expression} value - the value assigned to the member
+ * @prop {ts.ExpressionStatement} source - the statement assigning the member
+ */
+
+/**
+ * Find any documented members assigned to a class or its prototype by top-level statements in the class's source file, e.g. "Foo.prototype.bar = function () {}"
+ * @param {ts.ClassDeclaration} node - the class to find assigned members for
+ * @returns {AssignedMember[]} the assigned members, in source order
+ */
+export const resolveAssignedMembers = (node) => (node.name && ts.isSourceFile(node.parent) ? node.parent.statements : []).flatMap((statement) => {
+    const {left, right} = resolveAssignment(statement);
+    const owner = left && ts.isPropertyAccessExpression(left) && ts.isIdentifier(left.name) ? left.expression : undefined;
+    const isStatic = !!owner && ts.isIdentifier(owner);
+    const target = isStatic ? owner : (owner && ts.isPropertyAccessExpression(owner) && owner.name.escapedText === "prototype" && ts.isIdentifier(owner.expression) ? owner.expression : undefined);
+    
+    // Undocumented assignments are usually just aliases of namespace members, or implementation details
+    return target?.escapedText === node.name.escapedText && statement.jsDoc?.length && !ts.getAllJSDocTags(statement, (tag) => ts.isJSDocPrivateTag(tag) || isJSDocInternalTag(tag)).length
+        ? [{name: left.name.escapedText, isStatic, target: left, value: right, source: statement}] : [];
+});
+
+/**
+ * Find any external modules required by a top-level variable statement, as the import declarations they're equivalent to
+ * @param {ts.Node} node - the statement that may require external modules, e.g. "const {Foo} = require('foo')"
+ * @returns {(ts.ImportEqualsDeclaration|ts.ImportDeclaration)[]} an import equals declaration for each module required as a whole, or an import declaration for each module whose members were required by name
+ */
+export const resolveRequireImports = (node) => (ts.isVariableStatement(node) ? node.declarationList.declarations : []).filter(({initializer}) => isRequireCall(initializer)).flatMap(({name, initializer}) => (
+    ts.isIdentifier(name) ? [ts.factory.createImportEqualsDeclaration(undefined, false, name, ts.factory.createExternalModuleReference(initializer.arguments[0]))] :
+    ts.isObjectBindingPattern(name) ? [ts.factory.createImportDeclaration(undefined, ts.factory.createImportClause(false, undefined, ts.factory.createNamedImports(
+        // Only named properties of required modules can be imported by name
+        name.elements.filter(({propertyName, name}) => ts.isIdentifier(propertyName ?? name) && ts.isIdentifier(name))
+            .map(({propertyName, name}) => ts.factory.createImportSpecifier(false, propertyName, name))
+    )), initializer.arguments[0])] : []
+));
+
+/**
+ * Find any values exported by a CommonJS entry file's assignments to "exports" or "module.exports"
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.Node} node - top-level statement of an entry file that may assign exports
+ * @returns {{assigned?: String, found: FoundDeclaration[]}} name of whatever was assigned to "module.exports" as a whole, if it was assigned by name, and value declarations for any other exported values
+ */
+export const resolveCommonJSExports = (checker, node) => {
+    const {left, right} = resolveAssignment(node);
+    const exported = [];
+    
+    // Modules either assign their whole export by name, or as an object literal of named exports...
+    if (left && isCommonJSModuleExports(left)) {
+        if (ts.isIdentifier(right)) return {assigned: right.escapedText, found: []};
+        else for (let property of (resolveObjectLiteral(right)?.properties ?? []).filter(({name}) => name && ts.isIdentifier(name))) {
+            exported.push([property.name.escapedText, ts.isShorthandPropertyAssignment(property) ? checker.getShorthandAssignmentValueSymbol(property)?.valueDeclaration : property]);
+        }
+    }
+    // ...or assign each named export separately
+    else if (left && ts.isPropertyAccessExpression(left) && ts.isIdentifier(left.name) && isCommonJSExportsObject(left.expression) && !isRequireCall(right)) {
+        exported.push([left.name.escapedText, ts.isIdentifier(right) ? checker.getSymbolAtLocation(right)?.valueDeclaration : (ts.isFunctionLike(right) ? right : left)]);
+    }
+    
+    // Classes are declared wherever they're namespaced, so only other values need saving
+    return {found: exported.filter(([, declaration]) => !!declaration && !ts.isClassDeclaration(declaration)).map(([name, declaration]) => [name, {type: "alias", node: declaration, source: node}])};
+};
+
+/**
+ * Find all nodes in a source file that declarations could be generated from, so they can be revisited without walking the whole file
+ * @param {ts.SourceFile} sourceFile - the source file to walk
+ * @returns {ts.Node[]} imports, exports, classes, custom element definitions, top-level values and assignments, and anything with JSDoc comments, in source order
+ */
+export const resolveSourceNodes = (sourceFile) => {
+    const nodes = [];
+    
+    ts.forEachChild(sourceFile, function visitor(node) {
+        if (ts.isImportDeclaration(node) || ts.isExportDeclaration(node) || ts.isClassDeclaration(node) || isCustomElementDefinition(node) || node.jsDoc?.length
+            || ((ts.isFunctionDeclaration(node) || ts.isVariableStatement(node) || ts.isExpressionStatement(node)) && ts.isSourceFile(node.parent))) nodes.push(node);
+        
+        ts.forEachChild(node, visitor);
+    });
+    
+    return nodes;
+};
+
+/**
+ * Work out what qualified namespace name each namespace member declaration was declared with
+ * @param {Map} namespaces - all namespace member declarations
+ * @param {String[]} [path=[]] - names of the namespaces the members belong to
+ * @param {Map<ts.Node, String>} [declared] - where to save the qualified namespace names
+ * @returns {Map<ts.Node, String>} qualified namespace names, keyed by declaration
+ */
+export const resolveDeclaredNames = (namespaces, path = [], declared = new Map()) => {
+    for (let [name, {node, members}] of namespaces) {
+        if (node) declared.set(node, [...path, name].join("."));
+        if (members?.size) resolveDeclaredNames(members, [...path, name], declared);
+    }
+    
+    return declared;
+};
+
+/**
+ * Determine whether an enum's object literal is actually available at runtime under the qualified name the enum is declared as
+ * @param {ts.JSDocEnumTag} node - the enum tag the enum is declared from
+ * @param {ts.Node} [source] - the variable statement or property assignment the enum tag was found on
+ * @param {Map} namespaces - all namespace member declarations, for resolving the qualified names of values
+ * @returns {Boolean} whether the object literal is exported under the enum's qualified name
+ */
+export const isExportedEnum = (node, source, namespaces) => {
+    const declared = resolveDeclaredNames(namespaces);
+    const name = declared.get(node);
+    
+    // Variables are only available under their own name, when exported from the top level of a module...
+    if (source && ts.isVariableStatement(source)) {
+        const [declaration] = source.declarationList.declarations;
+        
+        return !!source.modifiers?.some(({kind}) => kind === ts.SyntaxKind.ExportKeyword) && declaration.name.escapedText === name;
+    }
+    // ...while members of object literals are only available under the qualified name of the value they were assigned to
+    else if (source && ts.isPropertyAssignment(source)) {
+        const container = ts.findAncestor(source.parent.parent, (node) => !ts.isCallExpression(node));
+        
+        return resolveObjectLiteral(container?.initializer) === source.parent && declared.has(container) && `${declared.get(container)}.${source.name.text}` === name;
+    }
+    
+    return false;
+};
+
+/**
+ * Resolve which namespace member declarations are exported by an entry file, and what they are exported as
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.SourceFile} sourceFile - the entry file to resolve exports for
+ * @param {Map} namespaces - all namespace member declarations that could be exported
+ * @returns {[String, String][]} the exported names, and the qualified namespace names of the declarations they refer to
+ */
+export const resolveEntryExports = (checker, sourceFile, namespaces) => {
+    const symbol = sourceFile && checker.getSymbolAtLocation(sourceFile);
+    const declared = resolveDeclaredNames(namespaces);
+    
+    return (symbol ? checker.getExportsOfModule(symbol) : []).flatMap((exported) => {
+        const {declarations = []} = exported.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(exported) : exported;
+        const name = declarations.map((declaration) => declared.get(declaration)).find((name) => !!name);
+        
+        // Exports that weren't declared anywhere can't be re-exported
+        return name ? [[exported.escapedName, name]] : [];
+    });
+};
+
+/**
+ * Find any JSDoc import tags and import type references in a node's JSDoc comments
+ * @param {ts.Node} node - the node whose JSDoc comments should be searched
+ * @returns {(ts.JSDocImportTag|ts.ImportTypeNode)[]} any import tags and import type references, in source order
+ */
+export const resolveJSDocImports = (node) => {
+    const imports = [];
+    
+    for (let doc of node.jsDoc ?? []) ts.forEachChild(doc, function visitor(node) {
+        if (ts.isJSDocImportTag(node) || ts.isImportTypeNode(node)) imports.push(node);
+        
+        ts.forEachChild(node, visitor);
+    });
+    
+    return imports;
+};
+
+/**
+ * Resolve the qualified namespace name of a class declared in the library's own sources, when a type reference imports it from another file
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.TypeReferenceNode|ts.ImportTypeNode} node - the type reference to resolve the namespace name for
+ * @returns {String|undefined} the qualified namespace name of the imported class, if it was declared under one
+ */
+const resolveImportedNamespace = (checker, node) => {
+    // Only imported names and import types refer to declarations in other files
+    const isImported = ts.isImportTypeNode(node) ? ts.isLiteralTypeNode(node.argument) && node.argument.literal.text.startsWith(".")
+        : ts.isIdentifier(node.typeName) && !!(checker.getSymbolAtLocation(node.typeName)?.flags & ts.SymbolFlags.Alias);
+    const declaration = isImported ? checker.getTypeFromTypeNode(node).symbol?.declarations?.find(ts.isClassDeclaration) : undefined;
+    const [tag] = declaration && !declaration.getSourceFile().isDeclarationFile ? ts.getAllJSDocTags(declaration, ({tagName: {escapedText}, comment}) => ["namespace", "alias"].includes(escapedText) && !!comment) : [];
+    
+    return tag && ts.getTextOfJSDocComment(tag.comment);
+};
+
+/**
+ * Check whether a type node references something imported from an external module, which is only declared under the name it was imported as
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.Node} node - the type node to check
+ * @param {Boolean} [deep=false] - whether any nested type nodes should also be checked
+ * @returns {Boolean} whether the type node's name, or any nested type node's name, is an alias of a declaration in an external module
+ */
+const referencesExternalAlias = (checker, node, deep = false) => {
+    const symbol = ts.isTypeReferenceNode(node) && ts.isIdentifier(node.typeName) ? checker.getSymbolAtLocation(node.typeName) : undefined;
+    const declarations = symbol && symbol.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(symbol).declarations : undefined;
+    
+    return (!!declarations?.length && declarations.every((declaration) => declaration.getSourceFile().isDeclarationFile))
+        || (deep && !!ts.forEachChild(node, (child) => referencesExternalAlias(checker, child, true)));
+};
+
+/**
+ * Qualified names of everything declared in the namespaces of each TypeScript program's library
+ * @type {WeakMap<ts.TypeChecker, Set<String>>}
+ */
+const declaredNames = new WeakMap();
+
+/**
+ * Save the qualified names of everything declared in a library's namespaces, so references to namespaced declarations can be checked
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {Map} namespaces - the library's namespace structure
+ * @param {String[]} [scope=[]] - names of the namespaces the given namespace structure belongs to
+ * @param {Set<String>} [names] - where to save the qualified names
+ * @returns {Set<String>} qualified names of every namespace and namespace member
+ */
+export const registerDeclaredNames = (checker, namespaces, scope = [], names = declaredNames.set(checker, new Set()).get(checker)) => {
+    for (let [name, {members} = {}] of namespaces) {
+        names.add([...scope, name].join("."));
+        if (members) registerDeclaredNames(checker, members, [...scope, name], names);
+    }
+    
+    return names;
+};
+
+/**
+ * Report any references to types that don't exist within a type node, including in nested type arguments
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.Node} node - the type node to look for unresolved type references in
+ */
+const reportUnresolvedTypes = (checker, node) => {
+    const name = ts.isTypeReferenceNode(node) && checker.getTypeFromTypeNode(node).intrinsicName === "error" ? resolveQualifiedName(node.typeName) : undefined;
+    const names = declaredNames.get(checker);
+    
+    // Qualified names may refer to namespaced type definitions the TypeScript compiler doesn't know about, so look for them in the library's namespaces instead
+    if (name && (ts.isIdentifier(node.typeName) || (names && ![...names].some((declared) => declared === name || declared.endsWith(`.${name}`)))))
+        reportDiagnostic(checker, node, "any", `Unable to resolve type '${name}'`);
+    
+    ts.forEachChild(node, (child) => reportUnresolvedTypes(checker, child));
 };
 
 /**
@@ -165,6 +610,13 @@ export const resolveActualType = (checker, node, isAsync = false) => {
         // See if TypeScript can guess the type
         const type = checker.getTypeFromTypeNode(node);
         const guessed = checker.typeToTypeNode(type);
+        // Classes imported from the library's own files are declared under their namespaces, so reference them there
+        const namespace = ts.isTypeReferenceNode(node) || ts.isImportTypeNode(node) ? resolveImportedNamespace(checker, node) : undefined;
+        
+        if (namespace) return ts.factory.createTypeReferenceNode(
+            namespace.split(".").map(ts.factory.createIdentifier).reduce((left, right) => ts.factory.createQualifiedName(left, right)),
+            node.typeArguments && node.typeArguments.map((t) => resolveActualType(checker, t))
+        );
         
         switch (node.kind) {
             // Assume "typeof" and "keyof" type queries are already correct
@@ -195,15 +647,40 @@ export const resolveActualType = (checker, node, isAsync = false) => {
             // Also go through and resolve TypeReference type arguments...
             case ts.SyntaxKind.TypeReference:
                 // ...but only if TypeScript managed to guess some useful type reference
-                if (ts.isQualifiedName(node.typeName) || guessed.typeName || (guessed.kind === ts.SyntaxKind.AnyKeyword && node.typeArguments))
-                    return ts.factory.createTypeReferenceNode(guessed.typeName ?? node.typeName, node.typeArguments && node.typeArguments.map((t) => resolveActualType(checker, t)));
+                if (ts.isQualifiedName(node.typeName) || guessed.typeName || (guessed.kind === ts.SyntaxKind.AnyKeyword && node.typeArguments)) {
+                    // Mention when the referenced type doesn't actually exist, since it will end up as "any" for consumers
+                    reportUnresolvedTypes(checker, node);
+                    
+                    // Imports from external modules may have been renamed, and are only declared under the name they were imported as
+                    return ts.factory.createTypeReferenceNode((!referencesExternalAlias(checker, node) && guessed.typeName) || node.typeName, node.typeArguments && node.typeArguments.map((t) => resolveActualType(checker, t)));
+                }
             
             // Otherwise, the TypeReference might actually be a primitive (╯°O°)╯︵ ┻━┻
             default: {
-                // If it was a primitive, return it...
-                if (type.intrinsicName !== "error") return guessed;
+                const held = !ts.isTypeNode(node) ? node.typeExpression?.type ?? node.type : undefined;
+                
+                // Tags holding types imported from external modules are resolved through them, so references keep the names they were imported as...
+                if (held && referencesExternalAlias(checker, held, true)) return resolveActualType(checker, held);
+                // ...otherwise, if it was a primitive, return it, making sure to mention if TypeScript had to guess "any"...
+                if (type.intrinsicName !== "error") {
+                    if (guessed.kind === ts.SyntaxKind.AnyKeyword && ts.isTypeNode(node) && !isExplicitAnyType(node))
+                        reportDiagnostic(checker, node, "any", `Type '${getSourceText(node) ?? "unknown"}' resolved to 'any'`);
+                    // ...or if any type arguments it was guessed from don't actually exist
+                    else ts.forEachChild(node, (child) => reportUnresolvedTypes(checker, child));
+                    
+                    return guessed;
+                }
+                // ...or mention if there's nowhere deeper to go, either because the type couldn't be resolved...
+                else if (ts.isTypeNode(node) && !(node.typeExpression ?? node.type)) {
+                    reportDiagnostic(checker, node, "void", `Unable to resolve type '${getSourceText(node) ?? "unknown"}'`);
+                }
+                // ...or because no type was specified at all
+                else if (!(node.typeExpression ?? node.type)) {
+                    reportDiagnostic(checker, node, "void", "No type was specified");
+                }
+                
                 // ...otherwise, dive deeper!
-                else return resolveActualType(checker, node.typeExpression ?? node.type);
+                return resolveActualType(checker, node.typeExpression ?? node.type);
             }
         }
     } else {
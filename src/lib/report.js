@@ -0,0 +1,126 @@
+import ts from "typescript";
+
+/**
+ * Where diagnostics should be collected for each TypeScript program's type checker
+ * @type {WeakMap<ts.TypeChecker, Diagnostic[]>}
+ */
+const collectors = new WeakMap();
+
+/**
+ * What kind of problem a diagnostic describes
+ * @typedef {"fallback"|"validation"} DiagnosticCategory
+ */
+
+/**
+ * Details of a type annotation that could not be accurately declared, or a declaration that is not valid
+ * @typedef {Object} Diagnostic
+ * @prop {DiagnosticCategory} category - whether a type fell back to something else, or the generated declaration is not valid
+ * @prop {String} [file] - name of the file containing the type annotation
+ * @prop {Number} [line] - line number of the type annotation in the file
+ * @prop {String} [member] - qualified name of the declaration the type annotation belongs to
+ * @prop {String} [tag] - the JSDoc tag containing the type annotation
+ * @prop {String} [fallback] - what the declared type fell back to
+ * @prop {String} [declaration] - location of the invalid declaration in the generated declaration file
+ * @prop {String} reason - why the declared type fell back to something else, or why the declaration is not valid
+ */
+
+/**
+ * Start collecting diagnostics reported for a TypeScript program's type checker
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {Diagnostic[]} [diagnostics=[]] - where reported diagnostics should be saved
+ * @returns {Diagnostic[]} the list reported diagnostics will be saved to
+ */
+export const collectDiagnostics = (checker, diagnostics = []) => (collectors.set(checker, diagnostics), diagnostics);
+
+/**
+ * Check whether a node is any kind of JSDoc tag
+ * @param {ts.Node} node - the node to check
+ * @returns {Boolean} whether the node is a JSDoc tag
+ */
+const isJSDocTag = (node) => !!node.tagName;
+
+/**
+ * Get the source text of a node, if the node came from a source file
+ * @param {ts.Node} [node] - the node to get source text for
+ * @returns {String|undefined} the source text of the node
+ */
+export const getSourceText = (node) => (node?.pos >= 0 && node.getSourceFile?.() ? node.getText() : undefined);
+
+/**
+ * Resolve the qualified name of all named declarations containing a node
+ * @param {ts.Node} node - the node to resolve containing declaration names for
+ * @returns {String|undefined} the dot-separated names of all containing declarations
+ */
+const resolveMemberName = (node) => {
+    const names = [];
+    
+    // Go up the tree, saving the names of any declarations along the way
+    for (let parent = node; parent && !ts.isSourceFile(parent); parent = parent.parent) {
+        if (ts.isJSDocTypedefTag(parent) || ts.isJSDocCallbackTag(parent)) names.unshift(getSourceText(parent.fullName) ?? ts.getTextOfJSDocComment(parent.comment));
+        else if (!isJSDocTag(parent) && parent.name && (ts.isIdentifier(parent.name) || ts.isPrivateIdentifier(parent.name))) names.unshift(parent.name.escapedText);
+        else if (ts.isConstructorDeclaration(parent)) names.unshift("constructor");
+    }
+    
+    return names.filter((name) => !!name).join(".") || undefined;
+};
+
+/**
+ * Resolve the name of the JSDoc tag containing a node, including the parameter or property name for property-like tags
+ * @param {ts.Node} node - the node to resolve the containing JSDoc tag for
+ * @returns {String|undefined} the name of the containing JSDoc tag, if any
+ */
+const resolveTagName = (node) => {
+    const tag = ts.findAncestor(node, isJSDocTag);
+    const name = tag && (ts.isJSDocParameterTag(tag) || ts.isJSDocPropertyTag(tag)) ? getSourceText(tag.name) : undefined;
+    
+    return tag ? [`@${tag.tagName.escapedText}`, name].filter((s) => !!s).join(" ") : undefined;
+};
+
+/**
+ * Create a diagnostic describing a problem with the declaration generated for a given source node
+ * @param {ts.Node} node - the source node the problematic declaration was generated from
+ * @param {Object} details - what the problem was
+ * @param {DiagnosticCategory} details.category - whether a type fell back to something else, or the generated declaration is not valid
+ * @param {String} details.reason - why the problem occurred
+ * @param {String} [details.fallback] - what the declared type fell back to
+ * @param {String} [details.declaration] - location of the invalid declaration in the generated declaration file
+ * @returns {Diagnostic} the diagnostic, including the location of the source node
+ */
+export const createDiagnostic = (node, {category, reason, ...details}) => {
+    // Synthesised nodes have no position, and virtual tags are parsed from nameless files, so neither can be found in a file
+    const sourceFile = node?.pos >= 0 ? node.getSourceFile?.() : undefined;
+    const location = sourceFile?.fileName && sourceFile.fileName !== ".js" ? {
+        file: sourceFile.fileName,
+        line: sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line + 1
+    } : {};
+    
+    return {category, ...location, member: resolveMemberName(node), tag: resolveTagName(node), ...details, reason};
+};
+
+/**
+ * Report that a type annotation could not be accurately declared
+ * @param {ts.TypeChecker} checker - the TypeScript program's type checker
+ * @param {ts.Node} node - the node whose type could not be accurately declared
+ * @param {String} fallback - what the declared type fell back to
+ * @param {String} reason - why the declared type fell back to something else
+ */
+export const reportDiagnostic = (checker, node, fallback, reason) => {
+    const diagnostics = collectors.get(checker);
+    const diagnostic = createDiagnostic(node, {category: "fallback", fallback, reason});
+    
+    // Only report each fallback once, since types may be resolved more than once
+    if (diagnostics && !diagnostics.some((d) => Object.keys(diagnostic).every((key) => d[key] === diagnostic[key]))) diagnostics.push(diagnostic);
+};
+
+/**
+ * Format a diagnostic as a human-readable message
+ * @param {Diagnostic} diagnostic - the diagnostic to format
+ * @returns {String} the formatted diagnostic message
+ */
+export const formatDiagnostic = ({file, line, member, tag, fallback, declaration, reason}) => ([
+    file ? `${file}${line ? `:${line}` : ""} - ` : "",
+    [member, tag].filter((s) => !!s).join(" ").concat(member || tag ? ": " : ""),
+    reason,
+    fallback ? `, falling back to '${fallback}'` : "",
+    declaration ? ` (declared at ${declaration})` : ""
+].join(""));
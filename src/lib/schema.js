@@ -0,0 +1,239 @@
+import ts from "typescript";
+import {resolveQualifiedName} from "./parse.js";
+
+/**
+ * Dialect of JSON Schema that generated schemas are written in
+ * @type {String}
+ */
+const dialect = "https://json-schema.org/draft/2020-12/schema";
+
+/**
+ * JSON Schema types for TypeScript's primitive type keywords
+ * @type {Map<ts.SyntaxKind, Object>}
+ */
+const keywordSchemas = new Map([
+    [ts.SyntaxKind.StringKeyword, {type: "string"}],
+    [ts.SyntaxKind.NumberKeyword, {type: "number"}],
+    [ts.SyntaxKind.BigIntKeyword, {type: "integer"}],
+    [ts.SyntaxKind.BooleanKeyword, {type: "boolean"}],
+    [ts.SyntaxKind.NullKeyword, {type: "null"}],
+    [ts.SyntaxKind.ObjectKeyword, {type: "object"}],
+    [ts.SyntaxKind.NeverKeyword, {not: {}}]
+]);
+
+/**
+ * Names of generic types that describe arrays, or objects with arbitrary keys
+ * @type {Map<String, String>}
+ */
+const genericSchemaTypes = new Map([["Array", "array"], ["ReadonlyArray", "array"], ["Set", "array"], ["Object", "object"], ["Record", "object"], ["Map", "object"]]);
+
+/**
+ * Collect every type alias declared in a module or namespace, and any namespaces within it
+ * @param {ts.NodeArray<ts.Statement>} statements - statements of the module or namespace
+ * @param {String[]} [scope=[]] - names of the namespaces the statements belong to
+ * @param {Map<String, {node: ts.TypeAliasDeclaration, scope: String[]}>} [aliases] - where to save the type aliases, keyed by qualified name
+ * @returns {Map<String, {node: ts.TypeAliasDeclaration, scope: String[]}>} every type alias, and the namespaces it was declared in, keyed by qualified name
+ */
+export const collectTypeAliases = (statements, scope = [], aliases = new Map()) => {
+    for (let node of statements) {
+        if (ts.isTypeAliasDeclaration(node)) aliases.set([...scope, node.name.text].join("."), {node, scope});
+        else if (ts.isModuleDeclaration(node) && node.body && ts.isModuleBlock(node.body)) collectTypeAliases(node.body.statements, [...scope, node.name.text], aliases);
+    }
+    
+    return aliases;
+};
+
+/**
+ * Resolve the qualified name of a referenced type alias, the same way TypeScript would resolve the name from within a namespace
+ * @param {Map<String, *>} aliases - every type alias, keyed by qualified name
+ * @param {String} name - the referenced name
+ * @param {String[]} scope - names of the namespaces the name is referenced in
+ * @returns {String|undefined} qualified name of the referenced type alias, if there is one
+ */
+export const resolveAliasName = (aliases, name, scope) => {
+    for (let index = scope.length; index >= 0; index--) {
+        const qualifiedName = [...scope.slice(0, index), name].join(".");
+        if (aliases.has(qualifiedName)) return qualifiedName;
+    }
+};
+
+/**
+ * Resolve the default value written in the bracketed name of an optional property tag, e.g. "[count=1]"
+ * @param {ts.JSDocPropertyLikeTag} tag - the property tag to resolve the default value of
+ * @returns {String|undefined} source text of the default value, if one was written
+ */
+const resolveBracketedDefault = ({isBracketed, name}) => (isBracketed && name?.pos >= 0 ? name.getSourceFile?.()?.text.slice(name.end).match(/^\s*=\s*([^\]]*?)\s*\]/)?.[1] : undefined);
+
+/**
+ * Collect the default values written in the bracketed names of type definitions' property tags, which declaration files leave out
+ * @param {Map<String, import("./generate.js").NamespaceMember>} namespaces - all declarations in the library, structured by namespace
+ * @param {String[]} [scope=[]] - names of the namespaces the declarations belong to
+ * @param {Map<String, String>} [defaults] - where to save the default values
+ * @returns {Map<String, String>} source text of each default value, keyed by the qualified name of its type definition and property
+ */
+export const collectPropertyDefaults = (namespaces, scope = [], defaults = new Map()) => {
+    // Property tags of nested objects are nested under their parent's property tag, but still have fully qualified names
+    const collect = (tags, name) => {
+        for (let tag of tags ?? []) {
+            const defaultValue = resolveBracketedDefault(tag);
+            
+            if (defaultValue) defaults.set([...scope, name, resolveQualifiedName(tag.name)].join("."), defaultValue);
+            if (tag.typeExpression?.type && ts.isJSDocTypeLiteral(tag.typeExpression.type)) collect(tag.typeExpression.type.jsDocPropertyTags, name);
+        }
+    };
+    
+    for (let [name, {node, members}] of namespaces) {
+        if (node && ts.isJSDocTypedefTag(node)) collect(node.typeExpression?.jsDocPropertyTags, name);
+        
+        if (members?.size) collectPropertyDefaults(members, [...scope, name], defaults);
+    }
+    
+    return defaults;
+};
+
+/**
+ * Resolve JSON Schema annotations from a declaration's documentation comment
+ * @param {ts.Node} node - the documented declaration
+ * @param {String} [fallback] - source text of a default value to use if the comment doesn't have one
+ * @returns {{description?: String, default?: *, deprecated?: Boolean}} annotations for the declaration's schema
+ */
+const resolveAnnotations = (node, fallback) => {
+    const doc = node.jsDoc?.at(-1);
+    const tags = doc?.tags ?? [];
+    const description = ts.getTextOfJSDocComment(doc?.comment);
+    const defaultValue = ts.getTextOfJSDocComment(tags.find(({tagName}) => tagName.text === "defaultValue")?.comment)?.trim() ?? fallback;
+    const annotations = {
+        ...(description ? {description} : {}),
+        ...(tags.some(({tagName}) => tagName.text === "deprecated") ? {deprecated: true} : {})
+    };
+    
+    // Default values are only useful in a schema if they're valid JSON
+    try {
+        if (defaultValue) annotations.default = JSON.parse(defaultValue);
+    } catch {
+        // Leave out default values that aren't JSON
+    }
+    
+    return annotations;
+};
+
+/**
+ * Generate a JSON Schema for a type node, saving schemas for any referenced type aliases along the way
+ * @param {ts.TypeNode} [node] - the type node to generate a schema for
+ * @param {String[]} scope - names of the namespaces the type is referenced in
+ * @param {Map<String, {node: ts.TypeAliasDeclaration, scope: String[]}>} aliases - every type alias, keyed by qualified name
+ * @param {Map<String, Object>} definitions - where to save schemas for referenced type aliases, keyed by qualified name
+ * @param {Map<String, String>} defaults - source text of default values of type definitions' properties, keyed by qualified name
+ * @param {String} path - qualified name of the type alias or property the type belongs to
+ * @returns {Object} the generated schema
+ */
+const generateTypeSchema = (node, scope, aliases, definitions, defaults, path) => {
+    const generate = (node, name) => generateTypeSchema(node, scope, aliases, definitions, defaults, name ? `${path}.${name}` : path);
+    
+    if (!node) return {};
+    if (keywordSchemas.has(node.kind)) return {...keywordSchemas.get(node.kind)};
+    if (ts.isParenthesizedTypeNode(node) || ts.isTypeOperatorNode(node)) return generate(node.type);
+    if (ts.isArrayTypeNode(node)) return {type: "array", items: generate(node.elementType)};
+    if (ts.isTupleTypeNode(node)) return {type: "array", prefixItems: node.elements.map((element) => generate(ts.isNamedTupleMember(element) ? element.type : element)), items: false};
+    if (ts.isIntersectionTypeNode(node)) return {allOf: node.types.map((type) => generate(type))};
+    
+    if (ts.isLiteralTypeNode(node)) {
+        const {literal} = node;
+        
+        if (literal.kind === ts.SyntaxKind.NullKeyword) return {const: null};
+        if (literal.kind === ts.SyntaxKind.TrueKeyword || literal.kind === ts.SyntaxKind.FalseKeyword) return {const: literal.kind === ts.SyntaxKind.TrueKeyword};
+        if (ts.isPrefixUnaryExpression(literal)) return {const: -Number(literal.operand.text)};
+        
+        return {const: ts.isNumericLiteral(literal) ? Number(literal.text) : literal.text};
+    }
+    
+    if (ts.isUnionTypeNode(node)) {
+        // Undefined only means a property can be left out, which is handled by it not being required
+        const types = node.types.filter(({kind}) => kind !== ts.SyntaxKind.UndefinedKeyword).map((type) => generate(type));
+        
+        // Unions of literal values, such as those generated from enums, are enums in JSON Schema
+        if (types.every((schema) => Object.hasOwn(schema, "const"))) return {enum: types.map((schema) => schema.const)};
+        
+        return types.length === 1 ? types[0] : {anyOf: types};
+    }
+    
+    if (ts.isTypeLiteralNode(node)) {
+        const properties = node.members.filter(ts.isPropertySignature).map((property) => [property.name.getText().replaceAll(/^["']|["']$/g, ""), property]);
+        const [index] = node.members.filter(ts.isIndexSignatureDeclaration);
+        const required = properties.filter(([, {questionToken}]) => !questionToken).map(([name]) => name);
+        
+        return {
+            type: "object",
+            // Properties may have default values that were only written in the bracketed names of their property tags
+            properties: Object.fromEntries(properties.map(([name, property]) => [name, {...resolveAnnotations(property, defaults.get(`${path}.${name}`)), ...generate(property.type, name)}])),
+            ...(required.length ? {required} : {}),
+            ...(index ? {additionalProperties: generate(index.type)} : {})
+        };
+    }
+    
+    if (ts.isTypeReferenceNode(node)) {
+        const name = node.typeName.getText();
+        const qualifiedName = resolveAliasName(aliases, name, scope);
+        
+        // Type aliases are defined once, and referenced wherever they're used...
+        if (qualifiedName) {
+            if (!definitions.has(qualifiedName)) generateAliasSchema(qualifiedName, aliases, definitions, defaults);
+            return {$ref: `#/$defs/${qualifiedName}`};
+        }
+        
+        // ...while generic arrays and objects are described by their type arguments
+        if (genericSchemaTypes.get(name) === "array") return {type: "array", ...(node.typeArguments?.length ? {items: generate(node.typeArguments[0])} : {})};
+        if (genericSchemaTypes.get(name) === "object") return {type: "object", ...(node.typeArguments?.length === 2 ? {additionalProperties: generate(node.typeArguments[1])} : {})};
+    }
+    
+    // Anything else, like functions and class instances, has no equivalent in JSON
+    return {};
+};
+
+/**
+ * Generate a JSON Schema for a type alias, saving it and any schemas for type aliases it references
+ * @param {String} qualifiedName - qualified name of the type alias
+ * @param {Map<String, {node: ts.TypeAliasDeclaration, scope: String[]}>} aliases - every type alias, keyed by qualified name
+ * @param {Map<String, Object>} definitions - where to save schemas for type aliases, keyed by qualified name
+ * @param {Map<String, String>} defaults - source text of default values of type definitions' properties, keyed by qualified name
+ * @returns {Object} the generated schema
+ */
+const generateAliasSchema = (qualifiedName, aliases, definitions, defaults) => {
+    const {node, scope} = aliases.get(qualifiedName);
+    const schema = {};
+    
+    // Save the schema before filling it in, so recursive type aliases reference it instead of generating it again
+    definitions.set(qualifiedName, schema);
+    
+    return Object.assign(schema, {title: qualifiedName, ...resolveAnnotations(node), ...generateTypeSchema(node.type, scope, aliases, definitions, defaults, qualifiedName)});
+};
+
+/**
+ * Generate JSON Schema documents for type definitions in a generated ambient declaration file
+ * @param {String} text - contents of the generated declaration file, declaring all modules as ambient modules
+ * @param {String} moduleName - name of the module primarily being declared for the library
+ * @param {String[]} names - qualified names of the type definitions to generate schemas for
+ * @param {Map<String, String>} [defaults] - source text of default values of type definitions' properties that declaration files leave out, keyed by qualified name
+ * @returns {Map<String, String>} contents of each JSON Schema document, keyed by file name
+ * @throws {Error} when no type definition with one of the given names was declared
+ */
+export const generateSchemas = (text, moduleName, names, defaults = new Map()) => {
+    const sourceFile = ts.createSourceFile(`${moduleName}.d.ts`, text, ts.ScriptTarget.Latest, true, ts.ScriptKind.TS);
+    const module = sourceFile.statements.find((node) => ts.isModuleDeclaration(node) && ts.isStringLiteral(node.name) && node.name.text === moduleName);
+    const aliases = collectTypeAliases(module?.body?.statements ?? []);
+    
+    return new Map(names.map((name) => {
+        const definitions = new Map();
+        
+        if (!aliases.has(name)) throw new Error(`Unable to generate JSON Schema for '${name}', no type definition with that name was declared`);
+        
+        // The requested type definition is the root of its document, so it doesn't need to be defined again
+        const {title, ...schema} = generateAliasSchema(name, aliases, definitions, defaults);
+        definitions.delete(name);
+        
+        return [`${name}.schema.json`, `${JSON.stringify({
+            $schema: dialect, title, ...schema,
+            ...(definitions.size ? {$defs: Object.fromEntries(definitions)} : {})
+        }, null, 2).replaceAll(`"#/$defs/${name}"`, "\"#\"")}\n`];
+    }));
+};
@@ -0,0 +1,112 @@
+import {basename, dirname, relative, sep} from "path";
+
+/**
+ * Characters used to encode Base64 VLQ digits in source map mappings
+ * @type {String}
+ */
+const base64Digits = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * A declaration map, linking positions in a printed declaration file to the JavaScript source they were generated from
+ * @typedef {Object} DeclarationMap
+ * @prop {Number} version - version of the source map format
+ * @prop {String[]} sources - absolute file names of the JavaScript sources declarations were generated from
+ * @prop {String[]} names - names referenced by mappings, which are always empty for declaration maps
+ * @prop {String} mappings - encoded mappings from positions in the declaration file to positions in the sources
+ */
+
+/**
+ * Location of a single mapping from a position in a printed declaration file to a position in a source file
+ * @typedef {Object} DeclarationMapping
+ * @prop {Number} line - zero-based line number in the printed declaration file
+ * @prop {Number} column - zero-based column number in the printed declaration file
+ * @prop {Number} source - index of the source file in the declaration map's sources
+ * @prop {Number} originalLine - zero-based line number in the source file
+ * @prop {Number} originalColumn - zero-based column number in the source file
+ */
+
+/**
+ * Encode a number as a Base64 VLQ value
+ * @param {Number} value - the number to encode
+ * @returns {String} the Base64 VLQ encoded number
+ */
+const encodeVLQ = (value) => {
+    let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1,
+        result = "";
+    
+    // Emit five bits at a time, flagging when more digits follow
+    do {
+        const digit = vlq & 31;
+        vlq >>>= 5;
+        result += base64Digits[vlq > 0 ? digit | 32 : digit];
+    } while (vlq > 0);
+    
+    return result;
+};
+
+/**
+ * Encode a set of mappings into the source map mappings format
+ * @param {DeclarationMapping[]} mappings - mappings to encode, which must already be sorted by line and column
+ * @returns {String} the encoded source map mappings
+ */
+const encodeMappings = (mappings) => {
+    const lines = [];
+    const previous = {source: 0, originalLine: 0, originalColumn: 0};
+    
+    for (let {line, column, source, originalLine, originalColumn} of mappings) {
+        // Columns are relative to the previous segment on the same line, so start each line afresh
+        if (!lines[line]) lines[line] = [];
+        const segments = lines[line];
+        const previousColumn = segments.length ? segments.at(-1).column : 0;
+        
+        segments.push({column, encoded: [column - previousColumn, source - previous.source, originalLine - previous.originalLine, originalColumn - previous.originalColumn].map(encodeVLQ).join("")});
+        Object.assign(previous, {source, originalLine, originalColumn});
+    }
+    
+    return Array.from(lines, (segments) => (segments ?? []).map(({encoded}) => encoded).join(",")).join(";");
+};
+
+/**
+ * Create a declaration map from the traced nodes of a printed declaration file
+ * @param {import("./trace.js").TracedNode[]} traced - locations of traced nodes in the printed declaration file
+ * @returns {DeclarationMap} the declaration map, with absolute source file names
+ */
+export const createDeclarationMap = (traced) => {
+    const sources = [];
+    const mappings = new Map();
+    
+    for (let {printed, original} of traced) {
+        const sourceFile = original.getSourceFile?.();
+        
+        // Virtual tags are parsed from nameless files, so there is nothing to map them back to
+        if (sourceFile?.fileName && sourceFile.fileName !== ".js") {
+            if (!sources.includes(sourceFile.fileName)) sources.push(sourceFile.fileName);
+            
+            // Map the start of the declaration, and its name if it has one, since that's where editors go to definitions from
+            for (let [from, to] of [[printed, original], [printed.name, original.name]]) if (from && to?.pos >= 0) {
+                const {line, character: column} = printed.getSourceFile().getLineAndCharacterOfPosition(from.getStart());
+                const {line: originalLine, character: originalColumn} = sourceFile.getLineAndCharacterOfPosition(to.getStart(sourceFile));
+                
+                // Later traced nodes are nested inside earlier ones, so prefer them when positions coincide
+                mappings.set(`${line}:${column}`, {line, column, source: sources.indexOf(sourceFile.fileName), originalLine, originalColumn});
+            }
+        }
+    }
+    
+    return {
+        version: 3, sources, names: [],
+        mappings: encodeMappings([...mappings.values()].sort((a, b) => (a.line - b.line || a.column - b.column)))
+    };
+};
+
+/**
+ * Format a declaration map as JSON, with source file names relative to where the declaration file will be written
+ * @param {DeclarationMap} map - the declaration map to format
+ * @param {String} fileName - path to where the declaration file will be written
+ * @returns {String} the declaration map, ready to be written alongside the declaration file
+ */
+export const formatDeclarationMap = ({version, sources, names, mappings}, fileName) => JSON.stringify({
+    version, file: basename(fileName), sourceRoot: "",
+    sources: sources.map((source) => relative(dirname(fileName), source).split(sep).join("/")),
+    names, mappings
+});
@@ -0,0 +1,124 @@
+import ts from "typescript";
+import {existsSync, mkdirSync, readFileSync, writeFileSync} from "fs";
+import {dirname} from "path";
+
+/**
+ * Printer used to print declarations in API reports, without any of their comments
+ * @type {ts.Printer}
+ */
+const printer = ts.createPrinter({removeComments: true});
+
+/**
+ * Get the rank of a statement or member, so imports and exports come before declarations, and constructors before other members
+ * @param {ts.Node} node - the statement or member to rank
+ * @returns {Number} the rank of the statement or member, where lower ranks come first
+ */
+const getRank = (node) => {
+    if (ts.isImportDeclaration(node) || ts.isImportEqualsDeclaration(node)) return 0;
+    if (ts.isExportDeclaration(node) || ts.isExportAssignment(node)) return 1;
+    if (ts.isConstructorDeclaration(node) || ts.isIndexSignatureDeclaration(node)) return 2;
+    if (ts.getCombinedModifierFlags(node) & ts.ModifierFlags.Static) return 3;
+    
+    return 4;
+};
+
+/**
+ * Get the name a statement or member should be sorted by
+ * @param {ts.Node} node - the statement or member to get the name of
+ * @returns {String} the name of the statement or member, or an empty string if it has no name
+ */
+const getName = (node) => {
+    const name = node.name ?? node.declarationList?.declarations[0]?.name;
+    
+    return (name && (ts.isIdentifier(name) || ts.isStringLiteral(name) || ts.isPrivateIdentifier(name)) ? name.text : name?.getText()) ?? "";
+};
+
+/**
+ * Sort statements or members by rank and then name, keeping any overloads in their declared order
+ * @template {ts.Node} T
+ * @param {ts.NodeArray<T>} nodes - the statements or members to sort
+ * @returns {T[]} the sorted statements or members
+ */
+const sortNodes = (nodes) => [...nodes].sort((a, b) => (getRank(a) - getRank(b)) || (getName(a) < getName(b) ? -1 : (getName(a) > getName(b) ? 1 : 0)));
+
+/**
+ * Reorder every module, namespace, class, interface, import list, and export list in a declaration file, so the same declarations always print the same way
+ * @param {ts.TransformationContext} context - the transformation context the declaration file is being visited in
+ * @returns {ts.Transformer<ts.SourceFile>} transformer that sorts the declaration file
+ */
+const sortDeclarations = (context) => {
+    const {factory} = context;
+    const visit = (node) => {
+        // Sort from the bottom up, so nested declarations are already in order
+        node = ts.visitEachChild(node, visit, context);
+        
+        if (ts.isSourceFile(node)) return factory.updateSourceFile(node, sortNodes(node.statements));
+        if (ts.isModuleBlock(node)) return factory.updateModuleBlock(node, sortNodes(node.statements));
+        if (ts.isNamedImports(node)) return factory.updateNamedImports(node, sortNodes(node.elements));
+        if (ts.isNamedExports(node)) return factory.updateNamedExports(node, sortNodes(node.elements));
+        if (ts.isClassDeclaration(node))
+            return factory.updateClassDeclaration(node, node.modifiers, node.name, node.typeParameters, node.heritageClauses, sortNodes(node.members));
+        if (ts.isInterfaceDeclaration(node))
+            return factory.updateInterfaceDeclaration(node, node.modifiers, node.name, node.typeParameters, node.heritageClauses, sortNodes(node.members));
+        
+        return node;
+    };
+    
+    return visit;
+};
+
+/**
+ * Summarise generated declarations as a normalised, comment-free, and stably sorted report of the declared API
+ * @param {Object} declarations - the generated declarations to summarise
+ * @param {String} declarations.moduleName - name of the module primarily being declared for the library
+ * @param {String} declarations.fileName - name of the primary module's declaration file
+ * @param {String} declarations.text - contents of the primary module's declaration file
+ * @param {Map<String, String>|[String, String][]} [declarations.files] - contents of declaration files for any other modules or entry points, keyed by file name
+ * @returns {String} the API report, as a markdown document
+ */
+export const createApiReport = ({moduleName, fileName, text, files = []}) => {
+    const sections = [[fileName, text], ...[...files].sort(([a], [b]) => (a < b ? -1 : (a > b ? 1 : 0)))].map(([fileName, text]) => {
+        const sourceFile = ts.createSourceFile(fileName, text, ts.ScriptTarget.Latest, true, ts.ScriptKind.TS);
+        const {transformed: [result], dispose} = ts.transform(sourceFile, [sortDeclarations]);
+        const printed = printer.printFile(result);
+        
+        dispose();
+        
+        return `### \`${fileName}\`\n\n\`\`\`ts\n${printed}\`\`\`\n`;
+    });
+    
+    return [
+        `## API Report File for "${moduleName}"\n`,
+        `> Do not edit this file. It is generated by ostensibly-typed from the declarations of "${moduleName}".\n`,
+        ...sections
+    ].join("\n");
+};
+
+/**
+ * Write an API report to disk, or check it against the one already there
+ * @param {String} report - the current API report
+ * @param {String} fileName - where the API report is kept
+ * @param {Boolean} [check=false] - whether to only check the current report against the existing one, instead of writing it
+ * @returns {String|undefined} why the existing report differs from the current one, when checking
+ */
+export const updateApiReport = (report, fileName, check = false) => {
+    const existing = existsSync(fileName) ? readFileSync(fileName, "utf8").replaceAll("\r\n", "\n") : undefined;
+    
+    // Only check the existing report if asked to...
+    if (check) {
+        if (existing === undefined) return `API report ${fileName} does not exist`;
+        if (existing === report) return;
+        
+        const [before, after] = [existing.split("\n"), report.split("\n")];
+        const line = before.findIndex((text, index) => text !== after[index]);
+        const index = line < 0 ? before.length : line;
+        
+        return `API report ${fileName} is out of date, first difference on line ${index + 1}:\n- ${before[index] ?? ""}\n+ ${after[index] ?? ""}`;
+    }
+    
+    // ...otherwise write it out, without rewriting it if nothing changed
+    if (existing !== report) {
+        mkdirSync(dirname(fileName), {recursive: true});
+        writeFileSync(fileName, report);
+    }
+};
@@ -0,0 +1,70 @@
+import ts from "typescript";
+
+/**
+ * Link a generated declaration node to the original source node it was generated from
+ * @template {ts.Node} T
+ * @param {T} node - the generated node to link
+ * @param {ts.Node} [original] - the original node from a source file, if any
+ * @returns {T} the generated node, with any link to the original node
+ */
+export const traceNode = (node, original) => (original && original.pos >= 0 && !original.emitNode ? ts.setOriginalNode(node, original) : node);
+
+/**
+ * Get all child nodes of a node, ignoring any JSDoc comments that were included as synthetic siblings of declarations, and end of file tokens
+ * @param {ts.Node} node - the node to get children for
+ * @returns {ts.Node[]} the node's children, in source order
+ */
+const getTraceableChildren = (node) => {
+    const children = [];
+    
+    ts.forEachChild(node, (child) => {
+        children.push(child);
+    }, (nodes) => {
+        children.push(...nodes);
+    });
+    
+    return children.filter((child) => !ts.isJSDoc(child) && child.kind !== ts.SyntaxKind.EndOfFileToken);
+};
+
+/**
+ * Location of a node in a printed declaration file, and the original node it was generated from
+ * @typedef {Object} TracedNode
+ * @prop {Number} pos - start position of the node in the printed declaration file
+ * @prop {Number} end - end position of the node in the printed declaration file
+ * @prop {ts.Node} printed - the node, as parsed from the printed declaration file
+ * @prop {ts.Node} original - the original source node the declaration was generated from
+ */
+
+/**
+ * Find where in a printed declaration file each generated node with an original source node ended up
+ * @param {ts.SourceFile} generated - the generated declaration source file, before printing
+ * @param {ts.SourceFile} printed - the printed declaration file, parsed back into a source file
+ * @returns {TracedNode[]} locations of traced nodes in the printed declaration file, in order of appearance
+ */
+export const traceGeneratedNodes = (generated, printed) => {
+    const traced = [];
+    
+    // Walk both trees in parallel, since printing doesn't change their shape
+    (function visitor(generated, printed) {
+        const original = ts.getOriginalNode(generated);
+        const [generatedChildren, printedChildren] = [generated, printed].map(getTraceableChildren);
+        
+        if (original !== generated) traced.push({pos: printed.getStart(), end: printed.end, printed, original});
+        // If the shapes ever do differ, stop digging, since the rest of the subtree can't be trusted
+        if (generatedChildren.length === printedChildren.length) generatedChildren.forEach((child, index) => {
+            if (child.kind === printedChildren[index].kind) visitor(child, printedChildren[index]);
+        });
+    })(generated, printed);
+    
+    return traced;
+};
+
+/**
+ * Find the innermost traced node containing a position in a printed declaration file
+ * @param {TracedNode[]} traced - locations of traced nodes in the printed declaration file
+ * @param {Number} position - the position in the printed declaration file
+ * @returns {TracedNode|undefined} the innermost traced node containing the position, if any
+ */
+export const findTracedNode = (traced, position) => traced
+    .filter(({pos, end}) => pos <= position && position < end)
+    .reduce((innermost, node) => (!innermost || node.pos >= innermost.pos && node.end <= innermost.end ? node : innermost), undefined);
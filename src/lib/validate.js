@@ -0,0 +1,57 @@
+import ts from "typescript";
+import {basename, dirname} from "path";
+import {findTracedNode} from "./trace.js";
+import {createDiagnostic} from "./report.js";
+
+/**
+ * A printed declaration file to type-check, and where its declarations came from
+ * @typedef {Object} PrintedDeclarationFile
+ * @prop {String} text - contents of the printed declaration file
+ * @prop {import("./trace.js").TracedNode[]} [traced=[]] - locations of traced nodes in the printed declaration file
+ */
+
+/**
+ * Type-check printed declaration files in a fresh TypeScript program, mapping any errors back to the source that produced them
+ * @param {Map<String, PrintedDeclarationFile>} files - printed declaration files, keyed by the file name that determines where modules are resolved from
+ * @param {ts.CompilerOptions} [compilerOptions={}] - any additional options to pass through to the TypeScript compiler
+ * @returns {import("./report.js").Diagnostic[]} details of any errors in the declaration files
+ */
+export const validateDeclarationFiles = (files, compilerOptions = {}) => {
+    const options = {
+        // Make sure external modules can actually be resolved, if the module resolution strategy wasn't specified
+        ...(compilerOptions.moduleResolution ? {} : {module: ts.ModuleKind.ESNext, moduleResolution: ts.ModuleResolutionKind.Bundler}),
+        ...compilerOptions, target: ts.ScriptTarget.Latest, noEmit: true, allowJs: false, checkJs: false,
+        // Declaration files are skipped when checking libraries, so make sure these ones aren't!
+        skipLibCheck: false
+    };
+    const sourceFiles = new Map(Array.from(files, ([fileName, {text}]) => [fileName, ts.createSourceFile(fileName, text, ts.ScriptTarget.Latest, true)]));
+    // Declaration files may be validated before they're written, so their directories might not exist yet either
+    const directories = new Set([...files.keys()].flatMap((fileName) => {
+        const parents = [];
+        for (let dir = dirname(fileName), parent; dir !== parent; parent = dir, dir = dirname(dir)) parents.push(dir);
+        return parents;
+    }));
+    const host = ts.createCompilerHost(options);
+    // Serve the declaration files and their directories from memory, and everything else from the file system
+    const program = ts.createProgram([...files.keys()], options, Object.assign(host, {
+        fileExists: (name) => files.has(name) || ts.sys.fileExists(name),
+        directoryExists: (name) => directories.has(name) || ts.sys.directoryExists(name),
+        getDirectories: (name) => [...new Set([
+            ...(ts.sys.directoryExists(name) ? ts.sys.getDirectories(name) : []),
+            ...[...directories].filter((dir) => dir !== name && dirname(dir) === name).map((dir) => basename(dir))
+        ])],
+        readFile: (name) => (files.has(name) ? files.get(name).text : ts.sys.readFile(name)),
+        getSourceFile: ((getSourceFile) => (name, ...rest) => (sourceFiles.get(name) ?? getSourceFile(name, ...rest)))(host.getSourceFile)
+    }));
+    
+    return Array.from(sourceFiles, ([fileName, sourceFile]) => [...program.getSyntacticDiagnostics(sourceFile), ...program.getSemanticDiagnostics(sourceFile)]
+        .filter(({category}) => category === ts.DiagnosticCategory.Error)
+        .map(({start, code, messageText}) => {
+            const {original} = findTracedNode(files.get(fileName).traced ?? [], start) ?? {};
+            const line = sourceFile.getLineAndCharacterOfPosition(start).line + 1;
+            const reason = `TS${code}: ${ts.flattenDiagnosticMessageText(messageText, "\n")}`;
+            
+            // Point at the source of the declaration if it's known, otherwise just point at the declaration
+            return original ? createDiagnostic(original, {category: "validation", reason, declaration: `${fileName}:${line}`}) : {category: "validation", file: fileName, line, reason};
+        })).flat();
+};
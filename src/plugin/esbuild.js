@@ -0,0 +1,81 @@
+import {existsSync, mkdirSync, readFileSync, writeFileSync} from "fs";
+import {basename, dirname, extname, resolve} from "path";
+import {createGeneratorCache, formatDiagnostic} from "../index.js";
+import {generateBundleDeclarations, resolveOutputFiles, resolvePluginConfig} from "./shared.js";
+
+/**
+ * @typedef {Object} OstensiblyTypedEsbuildOnlyOptions
+ * @prop {Boolean} [emitDeclarationOnly=false] - whether to exclusively write the generated declaration files
+ */
+
+/**
+ * @typedef {import("./shared.js").OstensiblyTypedPluginOptions & OstensiblyTypedEsbuildOnlyOptions} OstensiblyTypedEsbuildOptions
+ */
+
+/**
+ * Create an OstensiblyTyped declaration generator esbuild plugin
+ * @param {OstensiblyTypedEsbuildOptions} [options={}] - OstensiblyTyped esbuild plugin options
+ * @returns {import("esbuild").Plugin} the OstensiblyTyped esbuild plugin
+ */
+export function generateDeclarations({emitDeclarationOnly = false, ...options} = {}) {
+    return {
+        name: "OstensiblyTyped",
+        setup(build) {
+            // Keep programs and parsed source files between rebuilds of the same build context
+            const cache = createGeneratorCache();
+            const {absWorkingDir = process.cwd(), outdir, outfile, write = true} = build.initialOptions;
+            const outDir = resolve(absWorkingDir, outdir ?? (outfile ? dirname(outfile) : "."));
+            
+            // The metafile is the only place esbuild says which files were entry points, and which of their imports were external
+            build.initialOptions.metafile = true;
+            // Declaration files are written by the plugin, so only let esbuild write files if it's meant to
+            if (emitDeclarationOnly) build.initialOptions.write = false;
+            
+            build.onEnd(async (result) => {
+                const entryPoints = {};
+                const externalModules = [];
+                let config, warnings;
+                
+                // Nothing can be declared for a build that didn't succeed
+                if (result.errors.length || !result.metafile) return;
+                
+                try {
+                    ({config, warnings} = await resolvePluginConfig(options));
+                } catch (ex) {
+                    return {errors: [{text: ex.message}]};
+                }
+                
+                if (warnings.length) return {warnings: warnings.map((text) => ({text}))};
+                
+                // Entry outputs are named after their entry points, so entry point declaration files should be too
+                for (let [fileName, {entryPoint}] of Object.entries(result.metafile.outputs)) if (entryPoint && !fileName.endsWith(".map")) {
+                    entryPoints[basename(fileName, extname(fileName))] = resolve(absWorkingDir, entryPoint);
+                    externalModules.push(...(result.metafile.inputs[entryPoint]?.imports ?? []).filter(({external}) => external).map(({path}) => path));
+                }
+                
+                // esbuild reads source files itself, so the generator reads them from disk too
+                const generated = generateBundleDeclarations(config, {entryPoints, externalModules, cache, cwd: absWorkingDir});
+                const {assetName = config.moduleName} = config;
+                
+                if (generated.error) return {errors: [{text: generated.error}]};
+                
+                const outputFiles = resolveOutputFiles(generated, assetName, outDir)
+                    .map(([fileName, text]) => ({path: resolve(outDir, fileName), contents: new TextEncoder().encode(text), text}));
+                
+                // Either write the declaration files out, without rewriting any that haven't changed...
+                if (write) for (let {path, text} of outputFiles) if (!existsSync(path) || readFileSync(path, "utf8") !== text) {
+                    mkdirSync(dirname(path), {recursive: true});
+                    writeFileSync(path, text);
+                }
+                
+                // ...or hand them back alongside everything else esbuild would have written
+                if (!write || emitDeclarationOnly) result.outputFiles = [...(!emitDeclarationOnly ? result.outputFiles ?? [] : []), ...outputFiles];
+                
+                return {
+                    ...(generated.drift ? {errors: [{text: generated.drift}]} : {}),
+                    warnings: generated.diagnostics.map((diagnostic) => ({text: formatDiagnostic(diagnostic)}))
+                };
+            });
+        }
+    };
+}
@@ -1,12 +1,15 @@
-import {basename, dirname} from "path";
-import docsToDefinitions from "../index.js";
+import {existsSync} from "fs";
+import {basename, dirname, extname, posix, relative, resolve, sep} from "path";
+import {createGeneratorCache, formatDeclarationMap, formatDiagnostic} from "../index.js";
+import {generateBundleDeclarations, resolveDeclarationText, resolvePluginConfig} from "./shared.js";
 
 /**
- * @typedef {Object} OstensiblyTypedGeneratorOptions
- * @prop {String} moduleName - name of the module that is the library's primary declaration
- * @prop {String} defaultExport - name of the default export of the declared module
- * @prop {import("typescript").CompilerOptions} compilerOptions - config to pass through to the TypeScript compiler
- * @prop {String} [assetName=moduleName] - name of the emitted asset file that is the library's primary declaration
+ * @typedef {Object} OstensiblyTypedRollupOnlyOptions
+ * @prop {Boolean} [exportsMap=false] - whether to log a suggested package.json "exports" map for the entry chunks and their declaration files
+ */
+
+/**
+ * @typedef {import("./shared.js").OstensiblyTypedPluginOptions & OstensiblyTypedRollupOnlyOptions} OstensiblyTypedGeneratorOptions
  */
 
 /**
@@ -18,13 +21,24 @@ import docsToDefinitions from "../index.js";
  * Create an OstensiblyTyped declaration generator input plugin
  * @type {import("rollup").PluginImpl<OstensiblyTypedGeneratorOptions, OstensiblyTypedGeneratorAPI>}
  */
-export function generateDeclarations({moduleName, defaultExport, compilerOptions, assetName = moduleName} = {}) {
-    const saneOptions = !!(moduleName && defaultExport);
+export function generateDeclarations(options = {}) {
     const sourceFiles = new Map();
-    let entryFiles,
+    // Keep programs and parsed source files between rebuilds in watch mode, along with what was last written
+    const cache = createGeneratorCache();
+    const written = new Map();
+    let config,
+        saneOptions,
+        entryFiles,
+        entryNames,
+        entryPoints,
+        entryReferences,
         isExternal,
         externalModules,
-        assetReference;
+        assetReference,
+        moduleReferences,
+        schemaReferences,
+        validatorReferences,
+        declarationMap;
     
     return {
         name: "OstensiblyTyped",
@@ -32,17 +46,35 @@ export function generateDeclarations({moduleName, defaultExport, compilerOptions
             // Expose method of retrieving sorted root file names
             getRootFileNames: () => ([...sourceFiles.keys()].sort((a, b) => a.localeCompare(b, undefined, {numeric: true}))),
             // Expose method of retrieving generated asset reference
-            getAssetReference: () => assetReference
+            getAssetReference: () => assetReference,
+            // Expose method of retrieving generated asset references for any other modules
+            getModuleReferences: () => moduleReferences ?? [],
+            // Expose method of retrieving generated asset references for any JSON Schema documents
+            getSchemaReferences: () => schemaReferences ?? [],
+            // Expose method of retrieving generated asset references for any runtime guard modules
+            getValidatorReferences: () => validatorReferences ?? []
         },
-        buildStart({external}) {
+        async buildStart({input, external}) {
             // Empty out all previous source and entry files
             sourceFiles.clear();
             entryFiles = [];
+            entryPoints = {};
             externalModules = [];
             isExternal = external;
+            // Entry chunks are named after their input keys, or their file names, so entry point declaration files should be too
+            entryNames = new Map(typeof input === "object" && !Array.isArray(input)
+                ? Object.entries(input).map(([name, fileName]) => [resolve(fileName), name])
+                : [input].flat().map((fileName) => [resolve(fileName), basename(fileName, extname(fileName))]));
             
-            if (!moduleName) this.warn("Generator disabled, missing required 'moduleName' config property");
-            if (!defaultExport) this.warn("Generator disabled, missing required 'defaultExport' config property");
+            try {
+                const {config: resolved, warnings} = await resolvePluginConfig(options);
+                
+                config = resolved;
+                saneOptions = !warnings.length;
+                for (let warning of warnings) this.warn(warning);
+            } catch (ex) {
+                this.error(ex.message);
+            }
         },
         moduleParsed(info) {
             if (saneOptions) {
@@ -51,17 +83,89 @@ export function generateDeclarations({moduleName, defaultExport, compilerOptions
                 if (info.isEntry) {
                     entryFiles.push(info.id);
                     externalModules.push(...info.importedIds.filter(isExternal));
+                    if (entryNames.has(info.id)) entryPoints[entryNames.get(info.id)] = info.id;
                 }
             }
         },
         buildEnd() {
+            const {moduleName, assetName = moduleName} = config ?? {};
+            
+            // Don't hold on to declaration maps, module declarations, schemas, or validators from previous builds
+            declarationMap = undefined;
+            moduleReferences = [];
+            schemaReferences = [];
+            validatorReferences = [];
+            entryReferences = new Map();
+            
             // Emit the declaration file as an asset, if options were sane
-            if (saneOptions) assetReference = this.emitFile({
-                type: "asset",
-                fileName: `${assetName}.d.ts`,
-                // Generate the declaration file!
-                source: docsToDefinitions({moduleName, defaultExport, sourceFiles, entryFiles, compilerOptions, externalModules})
-            });
+            if (saneOptions) {
+                // Rollup only knows which entry files have their own input names, so all parsed entry files are given separately
+                const {text, diagnostics, map, files, schemas, validators, error, drift} = generateBundleDeclarations(config, {
+                    sourceFiles, entryFiles, entryPoints, externalModules, ...(this.meta.watchMode ? {cache} : {})
+                });
+                
+                if (error) this.error(error);
+                else for (let diagnostic of diagnostics) this.warn(formatDiagnostic(diagnostic));
+                if (drift) this.error(drift);
+                
+                // The declaration map is only emitted once the output directory is known, so its sources can be made relative to it
+                declarationMap = map;
+                assetReference = this.emitFile({type: "asset", fileName: `${assetName}.d.ts`, source: resolveDeclarationText(text, map, assetName)});
+                
+                // Emit declaration files for any other modules alongside the primary declaration file
+                for (let [fileName, source] of files ?? []) {
+                    const reference = this.emitFile({type: "asset", fileName, source});
+                    
+                    moduleReferences.push(reference);
+                    entryReferences.set(fileName, reference);
+                }
+                
+                // Emit JSON Schema documents for any requested type definitions alongside the declaration files
+                for (let [fileName, source] of schemas ?? []) schemaReferences.push(this.emitFile({type: "asset", fileName, source}));
+                // Emit runtime guards for any requested type definitions next to the primary declaration file
+                for (let [fileName, source] of validators ?? []) validatorReferences.push(this.emitFile({type: "asset", fileName, source}));
+            }
+        },
+        generateBundle({dir, file}, bundle) {
+            const outDir = resolve(dir ?? (file ? dirname(file) : "."));
+            
+            // Source paths in declaration maps are relative to the declaration file, so wait until its location is known to emit them
+            if (declarationMap) {
+                const fileName = this.getFileName(assetReference);
+                
+                this.emitFile({
+                    type: "asset", fileName: `${fileName}.map`,
+                    source: formatDeclarationMap(declarationMap, resolve(outDir, fileName))
+                });
+            }
+            
+            // In watch mode, don't rewrite declaration files that haven't changed since they were last written, so nothing watching them is needlessly triggered
+            if (saneOptions && this.meta.watchMode) for (let fileName of [assetReference, ...moduleReferences, ...schemaReferences, ...validatorReferences].map((reference) => this.getFileName(reference)).flatMap((name) => [name, `${name}.map`])) {
+                const {source} = bundle[fileName] ?? {};
+                const outFile = resolve(outDir, fileName);
+                
+                // Output directories may have been emptied since the last build, so make sure the file is still there too
+                if (source !== undefined && written.get(outFile) === source && existsSync(outFile)) delete bundle[fileName];
+                else if (source !== undefined) written.set(outFile, source);
+            }
+            
+            // Suggest how package.json should expose each entry chunk, and the declaration file that goes with it
+            if (config?.exportsMap && assetReference) {
+                const {moduleName, assetName = moduleName} = config;
+                const toPackagePath = (fileName) => `./${relative(process.cwd(), resolve(outDir, fileName)).split(sep).join("/")}`;
+                const chunks = Object.values(bundle).filter(({type, isEntry}) => type === "chunk" && isEntry);
+                const exports = Object.fromEntries(chunks.map(({name, fileName}) => {
+                    const reference = entryReferences.get(posix.join(posix.dirname(`${assetName}.d.ts`), `${name}.d.ts`));
+                    
+                    // The only entry chunk, or the one named after the primary declaration, is the package's main export
+                    return [chunks.length === 1 || name === basename(assetName) ? "." : `./${name}`, {
+                        types: toPackagePath(this.getFileName(reference ?? assetReference)),
+                        import: toPackagePath(fileName)
+                    }];
+                }));
+                
+                this.info(`Suggested package.json "exports" map:\n${JSON.stringify({exports}, null, 2)}`);
+            }
         }
     };
 }
@@ -90,26 +194,37 @@ export function filterGeneratedBundle({emitDeclarationOnly = false, formats = ["
         },
         generateBundle({format}, bundle) {
             const generatedAssetName = this.getFileName(dtsGen.getAssetReference());
+            const generatedMapName = `${generatedAssetName}.map`;
+            const generatedModuleNames = [...dtsGen.getModuleReferences(), ...dtsGen.getSchemaReferences(), ...dtsGen.getValidatorReferences()].map((reference) => this.getFileName(reference));
             
             // If "file" points to a .d.ts file, we implicitly only want the declaration file
             if (outFileName?.endsWith(".d.ts")) emitDeclarationOnly = true;
             
             for (let key in bundle) {
                 // See if this was the generated declaration file asset
-                const isGeneratedAsset = bundle[key].type === "asset" && key === generatedAssetName;
+                const isGeneratedAsset = bundle[key].type === "asset" && [generatedAssetName, generatedMapName, ...generatedModuleNames].includes(key);
                 
                 // If so, attach root file names
-                if (isGeneratedAsset) bundle[key].originalFileNames.push(...(dtsGen?.getRootFileNames() ?? []));
+                if (isGeneratedAsset && key === generatedAssetName) bundle[key].originalFileNames.push(...(dtsGen?.getRootFileNames() ?? []));
                 // Either filter out all non-declaration files from the bundle, or filter the declaration if wrong bundle format
                 if (emitDeclarationOnly ? !isGeneratedAsset : isGeneratedAsset && !formats.includes(format))
                     delete bundle[key];
             }
             
             // If "file" was given as an input option, and the name doesn't match expected name...
-            if (!!outFileName && outFileName !== generatedAssetName) {
+            if (!!outFileName && outFileName !== generatedAssetName && !!bundle[generatedAssetName]) {
                 // ...rename it!
                 bundle[outFileName] = Object.assign(bundle[generatedAssetName], {fileName: outFileName});
                 delete bundle[generatedAssetName];
+                
+                // Keep any declaration map alongside the declaration file, and make sure they still point to each other
+                if (bundle[generatedMapName]) {
+                    const {source} = bundle[generatedMapName];
+                    
+                    bundle[outFileName].source = bundle[outFileName].source.replace(`sourceMappingURL=${basename(generatedMapName)}`, `sourceMappingURL=${outFileName}.map`);
+                    bundle[`${outFileName}.map`] = Object.assign(bundle[generatedMapName], {fileName: `${outFileName}.map`, source: JSON.stringify({...JSON.parse(source), file: outFileName})});
+                    delete bundle[generatedMapName];
+                }
             }
         }
     };
@@ -0,0 +1,96 @@
+import {basename, resolve} from "path";
+import {createApiReport, generate, formatDeclarationMap, formatDiagnostic, loadConfig, updateApiReport} from "../index.js";
+
+/**
+ * @typedef {Object} OstensiblyTypedPluginOptions
+ * @prop {String} moduleName - name of the module that is the library's primary declaration
+ * @prop {String} defaultExport - name of the default export of the declared module
+ * @prop {import("typescript").CompilerOptions} compilerOptions - config to pass through to the TypeScript compiler
+ * @prop {String[]} [externalModules] - any additional external modules used in type annotations
+ * @prop {String} [project] - path to a tsconfig.json or jsconfig.json file to source compiler options from
+ * @prop {String} [assetName=moduleName] - name of the output file that is the library's primary declaration
+ * @prop {Boolean} [strict=false] - whether types that could not be accurately declared should fail the build
+ * @prop {Boolean} [validate=false] - whether the generated declaration file should be type-checked, failing the build on errors when running in CI
+ * @prop {Boolean} [declarationMap=false] - whether to output a declaration map alongside the declaration file, linking it back to the JavaScript sources
+ * @prop {"ambient"|"esm"} [moduleFormat="ambient"] - whether to declare ambient modules in one declaration file, or plain ES modules in one declaration file per module
+ * @prop {"union"|"enum"|"const"|"object"} [enumFormat="union"] - whether to declare enums assigned an object literal as a union of their values, an enum, a const enum, or a constant object with a type alias of its values
+ * @prop {String} [apiReport] - where to write a normalised summary of the declared API, for reviewing changes to it
+ * @prop {Boolean} [checkApiReport=false] - whether to fail the build when the declared API differs from the existing API report, instead of writing it
+ * @prop {String[]} [schemas] - qualified names of type definitions to output JSON Schema documents for
+ * @prop {String[]} [validators] - qualified names of type definitions to output runtime guards for
+ * @prop {import("../lib/extend.js").TagHandler[]} [tagHandlers] - handlers for custom JSDoc tags, which can add, replace, or drop generated declarations and comments
+ */
+
+/**
+ * Merge a plugin's explicit options with any discovered configuration, and work out whether there's enough of it to generate anything
+ * @param {OstensiblyTypedPluginOptions} options - the plugin's explicit options
+ * @returns {Promise<{config: import("../lib/config.js").OstensiblyTypedConfig, warnings: String[]}>} the merged configuration, and why the generator is disabled, if it is
+ * @throws {Error} when the options or any discovered configuration are not valid
+ */
+export const resolvePluginConfig = async (options) => {
+    const config = await loadConfig(options);
+    
+    return {config, warnings: [
+        ...(!config.moduleName ? ["Generator disabled, missing required 'moduleName' config property"] : []),
+        ...(!config.defaultExport ? ["Generator disabled, missing required 'defaultExport' config property"] : [])
+    ]};
+};
+
+/**
+ * Generate declarations for whatever a bundler built, then write out or check the API report if there were no errors
+ * @param {import("../lib/config.js").OstensiblyTypedConfig} config - the plugin's merged configuration
+ * @param {Object} bundle - what the bundler built
+ * @param {Object<String, String>} bundle.entryPoints - file names of the entry files, keyed by the name of their output
+ * @param {String[]} [bundle.entryFiles] - file names of the entry files, if the bundler knows them as more than entry points
+ * @param {String[]} bundle.externalModules - any external modules the entry files import
+ * @param {Map<String, String>} [bundle.sourceFiles] - contents of the source files the bundler loaded, keyed by file name
+ * @param {import("../index.js").GeneratorCache} [bundle.cache] - state kept from previous builds
+ * @param {String} [bundle.cwd] - directory to resolve the API report from
+ * @returns {import("../index.js").GeneratedDeclarations & {error?: String, drift?: String}} the generated declarations, why they should fail the build, if they should, and how the declared API differs from the API report, if it does
+ */
+export const generateBundleDeclarations = (config, {entryPoints, entryFiles = [...new Set(Object.values(entryPoints))], externalModules, sourceFiles, cache, cwd = process.cwd()}) => {
+    const {moduleName, defaultExport, compilerOptions, strict, validate, assetName = moduleName} = config;
+    const generated = generate({
+        moduleName, defaultExport, sourceFiles, compilerOptions, validate, cache, fileName: `${assetName}.d.ts`,
+        schemas: config.schemas, validators: config.validators, tagHandlers: config.tagHandlers,
+        // Configured entry files take precedence over whatever the bundle was built from
+        entryFiles: config.entryFiles ?? entryFiles,
+        // Only give entry points their own declaration files when there is more than one of them
+        entryPoints: config.entryPoints ?? (Object.keys(entryPoints).length > 1 ? entryPoints : undefined),
+        declarationMap: config.declarationMap, moduleFormat: config.moduleFormat, enumFormat: config.enumFormat,
+        externalModules: [...new Set([...(config.externalModules ?? []), ...externalModules])]
+    });
+    // Fail the build on any problems in strict mode, or on invalid declarations when running in CI
+    const errors = generated.diagnostics.filter(({category}) => strict || (category === "validation" && !!process.env.CI));
+    // The API report only describes declarations that are actually going to be output
+    const drift = !errors.length && config.apiReport ? updateApiReport(createApiReport({moduleName, fileName: `${assetName}.d.ts`, text: generated.text, files: generated.files}), resolve(cwd, config.apiReport), config.checkApiReport) : undefined;
+    
+    return {
+        ...generated, ...(drift ? {drift} : {}),
+        ...(errors.length ? {error: `Declarations could not be accurately generated:\n${errors.map(formatDiagnostic).join("\n")}`} : {})
+    };
+};
+
+/**
+ * Point the primary declaration file at its declaration map, if it has one
+ * @param {String} text - contents of the primary declaration file
+ * @param {import("../index.js").DeclarationMap} [map] - declaration map of the primary declaration file
+ * @param {String} assetName - name of the primary declaration file, without its extension
+ * @returns {String} contents of the primary declaration file, including any source mapping URL
+ */
+export const resolveDeclarationText = (text, map, assetName) => (map ? `${text}//# sourceMappingURL=${basename(assetName)}.d.ts.map\n` : text);
+
+/**
+ * Resolve every file generated for a bundle, for bundlers that output them all at once
+ * @param {import("../index.js").GeneratedDeclarations} generated - the generated declarations
+ * @param {String} assetName - name of the primary declaration file, without its extension
+ * @param {String} outDir - directory the files will be output to, which sources in the declaration map are relative to
+ * @returns {[String, String][]} names of the primary declaration file, any declaration map, declaration files for other modules, schemas, and validators, relative to the output directory, with their contents
+ */
+export const resolveOutputFiles = ({text, map, files, schemas, validators}, assetName, outDir) => [
+    [`${assetName}.d.ts`, resolveDeclarationText(text, map, assetName)],
+    ...(map ? [[`${assetName}.d.ts.map`, formatDeclarationMap(map, resolve(outDir, `${assetName}.d.ts`))]] : []),
+    ...(files ?? []),
+    ...(schemas ?? []),
+    ...(validators ?? [])
+];
@@ -0,0 +1,92 @@
+import {createGeneratorCache, formatDiagnostic} from "../index.js";
+import {generateBundleDeclarations, resolveOutputFiles, resolvePluginConfig} from "./shared.js";
+
+/**
+ * @typedef {Object} OstensiblyTypedWebpackOnlyOptions
+ * @prop {Boolean} [emitDeclarationOnly=false] - whether to exclusively emit the generated declaration files
+ */
+
+/**
+ * @typedef {import("./shared.js").OstensiblyTypedPluginOptions & OstensiblyTypedWebpackOnlyOptions} OstensiblyTypedWebpackOptions
+ */
+
+/**
+ * Name used when tapping into webpack hooks, and when reporting problems
+ * @type {String}
+ */
+const pluginName = "OstensiblyTyped";
+
+/**
+ * Create an OstensiblyTyped declaration generator webpack plugin
+ * @param {OstensiblyTypedWebpackOptions} [options={}] - OstensiblyTyped webpack plugin options
+ * @returns {{apply: (compiler: import("webpack").Compiler) => void}} the OstensiblyTyped webpack plugin
+ */
+export function generateDeclarations({emitDeclarationOnly = false, ...options} = {}) {
+    // Keep programs and parsed source files between rebuilds in watch mode
+    const cache = createGeneratorCache();
+    
+    return {
+        apply(compiler) {
+            // Use webpack's own exports from the compiler, so the plugin doesn't need to import webpack itself
+            const {Compilation, ExternalModule, NormalModule, WebpackError, sources: {RawSource}} = compiler.webpack;
+            
+            compiler.hooks.thisCompilation.tap(pluginName, (compilation) => {
+                const generatedAssetNames = new Set();
+                
+                compilation.hooks.processAssets.tapPromise({name: pluginName, stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL}, async () => {
+                    const {moduleGraph, outputOptions: {path: outDir}} = compilation;
+                    const sourceFiles = new Map();
+                    const entryPoints = {};
+                    const externalModules = [];
+                    let config, warnings;
+                    
+                    try {
+                        ({config, warnings} = await resolvePluginConfig(options));
+                    } catch (ex) {
+                        compilation.errors.push(new WebpackError(`[${pluginName}] ${ex.message}`));
+                        return;
+                    }
+                    
+                    for (let warning of warnings) compilation.warnings.push(new WebpackError(`[${pluginName}] ${warning}`));
+                    if (warnings.length) return;
+                    
+                    // Store source files for generator...
+                    for (let module of compilation.modules) if (module instanceof NormalModule && module.resourceResolveData?.path && module.originalSource()) {
+                        sourceFiles.set(module.resourceResolveData.path, module.originalSource().source().toString());
+                    }
+                    
+                    // ...along with entry files, and any external modules they import
+                    for (let [name, {dependencies}] of compilation.entries) for (let module of dependencies.map((dependency) => moduleGraph.getModule(dependency))) {
+                        if (module instanceof NormalModule && sourceFiles.has(module.resourceResolveData?.path)) {
+                            entryPoints[name] = module.resourceResolveData.path;
+                            externalModules.push(...Array.from(moduleGraph.getOutgoingConnections(module), ({module}) => module)
+                                .filter((module) => module instanceof ExternalModule).map(({userRequest}) => userRequest));
+                        }
+                    }
+                    
+                    const generated = generateBundleDeclarations(config, {entryPoints, externalModules, sourceFiles, ...(compiler.watchMode ? {cache} : {})});
+                    const {assetName = config.moduleName} = config;
+                    
+                    if (generated.error) {
+                        compilation.errors.push(new WebpackError(`[${pluginName}] ${generated.error}`));
+                        return;
+                    }
+                    
+                    for (let diagnostic of generated.diagnostics) compilation.warnings.push(new WebpackError(`[${pluginName}] ${formatDiagnostic(diagnostic)}`));
+                    if (generated.drift) compilation.errors.push(new WebpackError(`[${pluginName}] ${generated.drift}`));
+                    
+                    // Emit everything that was generated as assets, remembering their names in case everything else should be removed
+                    for (let [fileName, source] of resolveOutputFiles(generated, assetName, outDir)) {
+                        compilation.emitAsset(fileName, new RawSource(source));
+                        generatedAssetNames.add(fileName);
+                    }
+                });
+                
+                // Once everything else has had a chance to add assets, remove anything that isn't a declaration if requested
+                if (emitDeclarationOnly) compilation.hooks.processAssets.tap({name: pluginName, stage: Compilation.PROCESS_ASSETS_STAGE_SUMMARIZE}, (assets) => {
+                    for (let fileName of Object.keys(assets)) if (!generatedAssetNames.has(fileName)) compilation.deleteAsset(fileName);
+                });
+            });
+        }
+    };
+}
@@ -8,11 +8,14 @@ export default defineConfig({
             formats: ["es"],
             entry: {
                 "index": "src/index.js",
-                "plugins/rollup": "src/plugin/rollup.js"
+                "plugins/rollup": "src/plugin/rollup.js",
+                "plugins/webpack": "src/plugin/webpack.js",
+                "plugins/esbuild": "src/plugin/esbuild.js",
+                "cli": "src/cli.js"
             },
         },
         rollupOptions: {
-            external: ["typescript", "path"]
+            external: ["typescript", "crypto", "fs", "path", "url", "util"]
         }
     }
 });
\ No newline at end of file